@@ -4,6 +4,7 @@
  */
 
 import { Simulation } from './js/simulation.js';
+import { RemoteSimulation } from './js/remote.js';
 import { Renderer } from './js/renderer.js';
 import { UIController } from './js/ui.js';
 
@@ -18,9 +19,14 @@ class App {
         this.overlay = document.getElementById('overlay-canvas');
         
         // Initialize core systems
-        this.simulation = new Simulation(this.width, this.height);
+        this.simulation = this.createSimulation();
         this.renderer = new Renderer(this.canvas, this.overlay, this.simulation);
         this.ui = new UIController(this.simulation, this.renderer);
+        this.ui.onWorldResize = (width, height) => {
+            this.width = width;
+            this.height = height;
+            this.handleResize();
+        };
         
         // Animation state
         this.lastTime = 0;
@@ -35,7 +41,7 @@ class App {
         window.addEventListener('resize', () => this.handleResize());
         
         // Start the simulation running by default
-        this.simulation.paused = false;
+        this.simulation.setPaused(false);
         // Update play button state
         setTimeout(() => {
             document.getElementById('icon-play').style.display = 'none';
@@ -50,6 +56,54 @@ class App {
         console.log('🌍 Earth Physics Sandbox initialized!');
     }
 
+    /**
+     * Create the simulation - in a Web Worker when available, else in-thread
+     * Add ?worker=0 to the URL to force the in-thread mode
+     */
+    createSimulation() {
+        const params = new URLSearchParams(window.location.search);
+        if (typeof Worker === 'undefined' || params.get('worker') === '0') {
+            return new Simulation(this.width, this.height);
+        }
+        
+        try {
+            const remote = new RemoteSimulation(this.width, this.height);
+            remote.onerror = (e) => {
+                console.warn('Simulation worker failed, running in-thread instead', e);
+                this.fallbackToLocal();
+            };
+            remote.oncommanderror = (e) => alert(e.message);
+            return remote;
+        } catch (e) {
+            console.warn('Simulation worker unavailable, running in-thread instead', e);
+            return new Simulation(this.width, this.height);
+        }
+    }
+
+    /**
+     * Replace a failed worker simulation with an in-thread one
+     */
+    fallbackToLocal() {
+        const remote = this.simulation;
+        if (!remote.isRemote) return;
+        remote.terminate();
+        
+        const simulation = new Simulation(this.width, this.height, remote.seed);
+        simulation.setSpeed(remote.speed);
+        simulation.setPaused(remote.paused);
+        for (const edge in remote.boundary) {
+            simulation.setBoundary(edge, remote.boundary[edge]);
+        }
+        simulation.setGravity(remote.gravity.angle, remote.gravity.strength);
+        simulation.setWeather(remote.weather.ambient, remote.weather.dayNight);
+        simulation.setStatsInterval(remote.statsInterval);
+        simulation.setReactions(remote.reactions);
+        
+        this.simulation = simulation;
+        this.renderer.sim = simulation;
+        this.ui.sim = simulation;
+    }
+
     /**
      * Handle window resize
      */
@@ -63,7 +117,8 @@ class App {
         const scaleY = maxHeight / this.height;
         const scale = Math.min(scaleX, scaleY, 4); // Allow up to 4x scale
         
-        this.renderer.setScale(Math.max(1.5, scale));
+        // Large worlds shrink below 1x so the whole grid stays visible
+        this.renderer.setScale(Math.max(0.25, scale));
     }
 
     /**
@@ -85,14 +140,9 @@ class App {
         
         this.lastTime = time;
         
-        // Run simulation if not paused
-        if (!this.simulation.paused) {
-            // Run ticks based on speed setting
-            const baseTicks = 2; // Balanced for stability and speed
-            const speedTicks = Math.max(1, Math.round(this.simulation.speed * baseTicks));
-            for (let i = 0; i < speedTicks; i++) {
-                this.simulation.tick();
-            }
+        // Run simulation ticks here unless a worker is running them
+        if (!this.simulation.isRemote) {
+            this.simulation.advance();
         }
         
         // Render
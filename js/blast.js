@@ -0,0 +1,83 @@
+/**
+ * Blast Engine for Earth Physics Sandbox
+ * Turns an explosion into a radial blast: everything within the explosive's
+ * blastRadius is heated, and either broken or flung depending on its hardness
+ */
+
+import { MATERIAL, STATE, getMaterial } from './materials.js';
+
+// Velocity given per unit of blast intensity to cells that are flung
+const BLAST_IMPULSE = 0.25;
+
+// Chance an air cell in the inner half of a blast fills with fire
+const FIREBALL_CHANCE = 0.3;
+
+export class BlastEngine {
+    constructor(simulation) {
+        this.sim = simulation;
+        this.rng = simulation.rng;
+    }
+
+    /**
+     * Set off an explosive material's blast centered on a cell
+     * Intensity is the explosive's force at the center, fading to nothing
+     * just past blastRadius; heat from its temperature fades faster still
+     */
+    detonate(x, y, mat) {
+        const radius = mat.blastRadius;
+        
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const dist = Math.hypot(dx, dy);
+                if (dist === 0 || dist > radius) continue;
+                
+                const idx = this.sim.index(x + dx, y + dy);
+                if (idx < 0) continue;
+                
+                const falloff = 1 - dist / (radius + 1);
+                this.hit(idx, dx / dist, dy / dist, mat.force * falloff, mat.temperature * falloff * falloff, falloff);
+            }
+        }
+    }
+
+    /**
+     * Apply a blast of some intensity to one cell
+     * Other explosives go off in turn (a tick later, so a gas pocket burns
+     * through as a front). Anything the blast is stronger than breaks: into
+     * its blastsTo material if it has one, to nothing if it is a solid.
+     * Whatever is left and can move is flung away from the center
+     */
+    hit(idx, dirX, dirY, intensity, heat, falloff) {
+        const sim = this.sim;
+        const mat = getMaterial(sim.ids[idx]);
+        
+        if (sim.temperature[idx] < heat) {
+            sim.temperature[idx] = heat;
+            sim.wakeIndex(idx);
+        }
+        
+        if (mat.explosive) {
+            sim.setIndex(idx, MATERIAL.EXPLOSION);
+            return;
+        }
+        if (mat.id === MATERIAL.AIR) {
+            if (falloff > 0.5 && this.rng.next() < FIREBALL_CHANCE) {
+                sim.setIndex(idx, MATERIAL.FIRE);
+            }
+            return;
+        }
+        if (mat.state === STATE.ENERGY) return;
+        
+        if (intensity > (mat.hardness || 0)) {
+            if (mat.blastsTo !== undefined) {
+                sim.setIndex(idx, mat.blastsTo, { temperature: sim.temperature[idx] });
+            } else if (mat.state === STATE.SOLID) {
+                sim.setIndex(idx, MATERIAL.AIR);
+                return;
+            }
+        }
+        
+        const impulse = intensity * BLAST_IMPULSE;
+        sim.addVelocity(idx, dirX * impulse, dirY * impulse);
+    }
+}
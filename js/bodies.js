@@ -0,0 +1,321 @@
+/**
+ * Rigid Body Engine for Earth Physics Sandbox
+ * Moves each connected cluster of a movable solid (a wooden plank, a block
+ * of ice, a plant with its roots and leaves, a lump of damp clay) as one
+ * piece: it falls as a unit and floats or sinks by weighing itself against
+ * the liquid it displaces
+ */
+
+import { MATERIALS, STATE, getMaterial } from './materials.js';
+import { CHUNK_SHIFT } from './simulation.js';
+
+// Chance per tick that a body heavier than the liquid it displaces sinks one
+// cell, or that a lighter one held under rises one cell
+const SINK_CHANCE = 0.15;
+const RISE_CHANCE = 0.15;
+
+// Neighbors that join cells into one body - no diagonals, so two planks
+// touching at a corner stay separate
+const LINK_DX = [1, -1, 0, 0];
+const LINK_DY = [0, 0, 1, -1];
+
+// Body serials only grow; start over well before they overflow
+const MAX_SERIAL = 0x7FFFFFFF - (1 << 24);
+
+// How a material forms bodies: always (movable solids), or only while damp
+// (sticky powders such as clay)
+const ALWAYS = 1;
+const WHEN_DAMP = 2;
+
+export class BodyEngine {
+    constructor(simulation) {
+        this.sim = simulation;
+        this.rng = simulation.rng;
+        
+        // Which material ids form bodies and when, the material whose body
+        // each one joins, and densities for weighing mixed bodies
+        this.forms = new Uint8Array(65536);
+        this.group = new Uint16Array(65536);
+        this.density = new Float32Array(65536);
+        this.buildTables();
+        
+        // Serial of the body each cell was last gathered into - anything above
+        // firstSerial was gathered this tick
+        this.mark = null;
+        this.serial = 0;
+        this.firstSerial = 0;
+        
+        // Scratch lists for the body being moved: grid index, unwrapped
+        // position, and the move order
+        this.cells = null;
+        this.cellX = null;
+        this.cellY = null;
+        this.order = null;
+        
+        // Per-layer (row across gravity) cell counts and wet flags
+        this.layerCount = new Int32Array(0);
+        this.layerWet = new Uint8Array(0);
+    }
+
+    /**
+     * Mark the materials that move as rigid bodies
+     * Cells join a body when they are the same material, or bond with the
+     * same one (bondsWith) - roots and leaves move with their stem. Sticky
+     * powder holds together only while damp, and crumbles when dry
+     */
+    buildTables() {
+        this.forms.fill(0);
+        for (const key in MATERIALS) {
+            const mat = MATERIALS[key];
+            if (mat.state === STATE.SOLID && !mat.immovable) {
+                this.forms[mat.id] = ALWAYS;
+            } else if (mat.state === STATE.POWDER && mat.sticky) {
+                this.forms[mat.id] = WHEN_DAMP;
+            }
+            this.group[mat.id] = mat.bondsWith ?? mat.id;
+            this.density[mat.id] = mat.density;
+        }
+    }
+
+    /**
+     * Whether the cell at a grid index moves as part of a rigid body
+     */
+    formsBody(idx) {
+        const id = this.sim.ids[idx];
+        return this.forms[id] === ALWAYS || (this.forms[id] === WHEN_DAMP && this.sim.soil.isDamp(idx, id));
+    }
+
+    /**
+     * Gather and move every body with a cell in an awake chunk
+     * Cells still carrying velocity (thrown by a blast or the impulse tool)
+     * are loose debris - they fly on their own and join a body once they stop
+     */
+    step() {
+        const sim = this.sim;
+        const { width, height, chunksX, chunkAwake, ids, stamp, velocityX, velocityY, frameCount } = sim;
+        const forms = this.forms;
+        
+        if (!this.mark || this.mark.length !== sim.size) {
+            this.mark = new Int32Array(sim.size);
+            this.cells = new Int32Array(sim.size);
+            this.cellX = new Int32Array(sim.size);
+            this.cellY = new Int32Array(sim.size);
+            this.order = new Int32Array(sim.size);
+            this.serial = 0;
+        }
+        if (this.serial > MAX_SERIAL) {
+            this.mark.fill(0);
+            this.serial = 0;
+        }
+        this.firstSerial = this.serial;
+        const mark = this.mark;
+        
+        for (let i = 0; i < chunkAwake.length; i++) {
+            if (!chunkAwake[i]) continue;
+            const x0 = (i % chunksX) << CHUNK_SHIFT;
+            const y0 = Math.floor(i / chunksX) << CHUNK_SHIFT;
+            const x1 = Math.min(width, x0 + (1 << CHUNK_SHIFT));
+            const y1 = Math.min(height, y0 + (1 << CHUNK_SHIFT));
+            
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const idx = y * width + x;
+                    if (!forms[ids[idx]] || !this.formsBody(idx) ||
+                        mark[idx] > this.firstSerial ||
+                        stamp[idx] === frameCount ||
+                        velocityX[idx] !== 0 || velocityY[idx] !== 0) {
+                        continue;
+                    }
+                    const serial = ++this.serial;
+                    const count = this.gather(x, y, serial);
+                    this.moveBody(count, serial);
+                }
+            }
+        }
+    }
+
+    /**
+     * Flood-fill the body containing a cell into the scratch lists
+     * Returns the number of cells in it
+     */
+    gather(x, y, serial) {
+        const sim = this.sim;
+        const { ids, stamp, velocityX, velocityY, frameCount } = sim;
+        const { mark, cells, cellX, cellY, group } = this;
+        const body = group[ids[y * sim.width + x]];
+        
+        cells[0] = y * sim.width + x;
+        cellX[0] = x;
+        cellY[0] = y;
+        mark[cells[0]] = serial;
+        let count = 1;
+        
+        for (let k = 0; k < count; k++) {
+            for (let d = 0; d < 4; d++) {
+                const nx = cellX[k] + LINK_DX[d];
+                const ny = cellY[k] + LINK_DY[d];
+                const n = sim.index(nx, ny);
+                if (n < 0 || group[ids[n]] !== body || !this.formsBody(n) ||
+                    mark[n] > this.firstSerial ||
+                    stamp[n] === frameCount ||
+                    velocityX[n] !== 0 || velocityY[n] !== 0) {
+                    continue;
+                }
+                mark[n] = serial;
+                cells[count] = n;
+                cellX[count] = nx;
+                cellY[count] = ny;
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Material beside a body cell, or null when that cell is part of the body
+     */
+    neighbor(x, y, serial) {
+        const idx = this.sim.index(x, y);
+        if (idx >= 0 && this.mark[idx] === serial) return null;
+        return getMaterial(this.sim.getCell(x, y));
+    }
+
+    /**
+     * Decide whether a body falls, sinks, rises or stays put, and move it
+     * A body sinks while it outweighs the liquid in its wet layers - every
+     * layer from the first one touching liquid down to its underside
+     */
+    moveBody(count, serial) {
+        const physics = this.sim.physics;
+        if (!physics.gravityActs()) return;
+        
+        const { cellX, cellY } = this;
+        const downX = physics.relX(0);
+        const downY = physics.relY(0);
+        
+        // Layers run across gravity, numbered from the top of the body
+        let minD = Infinity;
+        let maxD = -Infinity;
+        for (let k = 0; k < count; k++) {
+            const d = cellX[k] * downX + cellY[k] * downY;
+            if (d < minD) minD = d;
+            if (d > maxD) maxD = d;
+        }
+        const layers = maxD - minD + 1;
+        if (this.layerCount.length < layers) {
+            this.layerCount = new Int32Array(layers);
+            this.layerWet = new Uint8Array(layers);
+        }
+        const { layerCount, layerWet } = this;
+        layerCount.fill(0, 0, layers);
+        layerWet.fill(0, 0, layers);
+        
+        let blockedBelow = false;
+        let blockedAbove = false;
+        let openAbove = false;
+        let liquidCells = 0;
+        let liquidDensity = 0;
+        
+        for (let k = 0; k < count; k++) {
+            const x = cellX[k];
+            const y = cellY[k];
+            const layer = x * downX + y * downY - minD;
+            layerCount[layer]++;
+            
+            const below = this.neighbor(x + downX, y + downY, serial);
+            const above = this.neighbor(x - downX, y - downY, serial);
+            const left = this.neighbor(x + physics.relX(-2), y + physics.relY(-2), serial);
+            const right = this.neighbor(x + physics.relX(2), y + physics.relY(2), serial);
+            
+            if (below) {
+                if (below.state === STATE.LIQUID) {
+                    liquidCells++;
+                    liquidDensity += below.density;
+                    layerWet[layer] = 1;
+                } else if (below.state !== STATE.GAS && below.state !== STATE.ENERGY) {
+                    blockedBelow = true;
+                }
+            }
+            if (above) {
+                if (above.state === STATE.LIQUID) {
+                    liquidCells++;
+                    liquidDensity += above.density;
+                    layerWet[layer] = 1;
+                } else if (above.state === STATE.GAS || above.state === STATE.ENERGY) {
+                    openAbove = true;
+                } else {
+                    blockedAbove = true;
+                }
+            }
+            for (const side of [left, right]) {
+                if (side && side.state === STATE.LIQUID) {
+                    liquidCells++;
+                    liquidDensity += side.density;
+                    layerWet[layer] = 1;
+                }
+            }
+        }
+        
+        // Nothing to float in - fall if there is room
+        if (liquidCells === 0) {
+            if (!blockedBelow) this.shift(count, 1, downX, downY, minD, layers);
+            return;
+        }
+        
+        let submerged = 0;
+        let topWet = -1;
+        for (let layer = 0; layer < layers; layer++) {
+            if (topWet < 0 && layerWet[layer]) topWet = layer;
+            if (topWet >= 0) submerged += layerCount[layer];
+        }
+        
+        let weight = 0;
+        for (let k = 0; k < count; k++) {
+            weight += this.density[this.sim.ids[this.cells[k]]];
+        }
+        const density = liquidDensity / liquidCells;
+        
+        if (weight > submerged * density) {
+            if (!blockedBelow && this.rng.next() < SINK_CHANCE) {
+                this.shift(count, 1, downX, downY, minD, layers);
+            }
+            return;
+        }
+        
+        // Rising out into air leaves the top layer dry - only rise if the
+        // body would still be held up after that
+        const raised = openAbove ? submerged - layerCount[topWet] : submerged;
+        if (!blockedAbove && raised * density > weight && this.rng.next() < RISE_CHANCE) {
+            this.shift(count, -1, downX, downY, minD, layers);
+        }
+    }
+
+    /**
+     * Move a gathered body one cell down (dir 1) or up (dir -1), leading
+     * cells first, so whatever it moves into ends up in the cells it leaves
+     */
+    shift(count, dir, downX, downY, minD, layers) {
+        const { cellX, cellY, order, layerCount } = this;
+        
+        // Counting sort by layer, leading layer first - layerCount is reused
+        // as each layer's start offset
+        let offset = 0;
+        for (let i = 0; i < layers; i++) {
+            const layer = dir > 0 ? layers - 1 - i : i;
+            const size = layerCount[layer];
+            layerCount[layer] = offset;
+            offset += size;
+        }
+        for (let k = 0; k < count; k++) {
+            const layer = cellX[k] * downX + cellY[k] * downY - minD;
+            order[layerCount[layer]++] = k;
+        }
+        
+        const dx = dir * downX;
+        const dy = dir * downY;
+        for (let i = 0; i < count; i++) {
+            const k = order[i];
+            this.sim.swap(cellX[k], cellY[k], cellX[k] + dx, cellY[k] + dy);
+        }
+    }
+}
@@ -0,0 +1,233 @@
+/**
+ * Circuit Engine for Earth Physics Sandbox
+ * Charge is a state of conductive cells, not a material: every step the
+ * networks fed by a battery or a spark are traced along connected
+ * conductors into the simulation's charge field
+ */
+
+import { MATERIAL, MATERIALS, STATE } from './materials.js';
+import { CHUNK_SHIFT } from './simulation.js';
+
+// Charge field values - live conductors carry current once the network
+// also reaches a ground
+export const CHARGE = { NONE: 0, LIVE: 1, CURRENT: 2 };
+
+// Resistance of the source itself, so a bare short circuit stays finite
+const INTERNAL_RESISTANCE = 1;
+
+// Degrees a conductor heats per step for each unit of power it dissipates
+const HEAT_PER_POWER = 1;
+
+// Conductors connect through shared edges only
+const LINK_DX = [1, -1, 0, 0];
+const LINK_DY = [0, 0, 1, -1];
+
+// Per-material circuit roles
+const GROUND = 1;
+const SENSOR = 2;
+const DIODE = 4;
+const FIXED = 8;
+
+// Circuit serials only grow; start over well before they overflow
+const MAX_SERIAL = 0x7FFFFFFF - (1 << 24);
+
+export class CircuitEngine {
+    constructor(simulation) {
+        this.sim = simulation;
+        
+        // Lookup tables by material id
+        this.voltage = new Float32Array(65536);
+        this.resistance = new Float32Array(65536);
+        this.conducts = new Uint8Array(65536);
+        this.role = new Uint8Array(65536);
+        this.buildTables();
+        
+        // Cells holding a source as of the last step
+        this.sources = [];
+        
+        // Network each cell was last traced into, and the trace queue
+        this.mark = null;
+        this.queue = null;
+        this.queueX = null;
+        this.queueY = null;
+        this.serial = 0;
+    }
+
+    /**
+     * Cache each material's electrical properties
+     * Wiring and fixed structure - circuit parts, solid conductors and
+     * immovable solids - never trip a sensor, so one can sit on the floor
+     */
+    buildTables() {
+        this.voltage.fill(0);
+        this.resistance.fill(0);
+        this.conducts.fill(0);
+        this.role.fill(0);
+        for (const key in MATERIALS) {
+            const mat = MATERIALS[key];
+            const id = mat.id;
+            this.voltage[id] = mat.voltage || 0;
+            this.resistance[id] = mat.resistance || 0;
+            this.conducts[id] = mat.conductive ? 1 : 0;
+            if (mat.ground) this.role[id] |= GROUND;
+            if (mat.sensor) this.role[id] |= SENSOR;
+            if (mat.diode) this.role[id] |= DIODE;
+            if (mat.circuit || (mat.state === STATE.SOLID && (mat.conductive || mat.immovable))) {
+                this.role[id] |= FIXED;
+            }
+        }
+    }
+
+    /**
+     * Retrace every network from its sources and heat the closed ones
+     * Networks run through sleeping chunks too, so every source is traced
+     */
+    step() {
+        const sim = this.sim;
+        const { size, width, ids, charge } = sim;
+        
+        if (!this.mark || this.mark.length !== size) {
+            this.mark = new Int32Array(size);
+            this.queue = new Int32Array(size);
+            this.queueX = new Int32Array(size);
+            this.queueY = new Int32Array(size);
+            this.sources = [];
+            this.serial = 0;
+        }
+        if (this.serial > MAX_SERIAL) {
+            this.mark.fill(0);
+            this.serial = 0;
+        }
+        
+        this.findSources();
+        charge.fill(CHARGE.NONE);
+        const firstSerial = this.serial;
+        const mark = this.mark;
+        for (const i of this.sources) {
+            // A source already reached from another one shares its network
+            if (mark[i] > firstSerial) continue;
+            const x = i % width;
+            this.trace(x, (i - x) / width, ++this.serial);
+        }
+    }
+
+    /**
+     * Update the source list without scanning the whole grid
+     * Nothing changes in a sleeping chunk, so sources there are kept from the
+     * last step and only awake chunks are searched again
+     */
+    findSources() {
+        const sim = this.sim;
+        const { width, height, chunksX, chunkAwake, ids } = sim;
+        const voltage = this.voltage;
+        const sources = [];
+        
+        for (const i of this.sources) {
+            const x = i % width;
+            const chunk = ((i - x) / width >> CHUNK_SHIFT) * chunksX + (x >> CHUNK_SHIFT);
+            if (!chunkAwake[chunk] && voltage[ids[i]] !== 0) sources.push(i);
+        }
+        
+        for (let i = 0; i < chunkAwake.length; i++) {
+            if (!chunkAwake[i]) continue;
+            const x0 = (i % chunksX) << CHUNK_SHIFT;
+            const y0 = Math.floor(i / chunksX) << CHUNK_SHIFT;
+            const x1 = Math.min(width, x0 + (1 << CHUNK_SHIFT));
+            const y1 = Math.min(height, y0 + (1 << CHUNK_SHIFT));
+            
+            for (let y = y0; y < y1; y++) {
+                for (let idx = y * width + x0; idx < y * width + x1; idx++) {
+                    if (voltage[ids[idx]] !== 0) sources.push(idx);
+                }
+            }
+        }
+        this.sources = sources;
+    }
+
+    /**
+     * Trace one network outward from a source cell
+     * Current drains into a ground rather than passing through it, and a
+     * diode only lets charge through from left to right. The whole network
+     * is treated as one resistor in series, so a short circuit runs hot and
+     * a long wire barely warms
+     */
+    trace(x, y, serial) {
+        const sim = this.sim;
+        const { width, ids, charge, temperature } = sim;
+        const { mark, queue, queueX, queueY, conducts, role } = this;
+        
+        queue[0] = y * width + x;
+        queueX[0] = x;
+        queueY[0] = y;
+        mark[queue[0]] = serial;
+        let count = 1;
+        
+        let voltage = 0;
+        let resistance = INTERNAL_RESISTANCE;
+        let grounded = false;
+        
+        for (let k = 0; k < count; k++) {
+            const id = ids[queue[k]];
+            voltage = Math.max(voltage, this.voltage[id]);
+            resistance += this.resistance[id];
+            
+            if (role[id] & GROUND) {
+                grounded = true;
+                if (k > 0) continue;
+            }
+            
+            for (let d = 0; d < 4; d++) {
+                if ((role[id] & DIODE) && LINK_DX[d] !== 1) continue;
+                
+                const nx = queueX[k] + LINK_DX[d];
+                const ny = queueY[k] + LINK_DY[d];
+                const n = sim.index(nx, ny);
+                if (n < 0 || mark[n] === serial || !conducts[ids[n]]) continue;
+                
+                const nRole = role[ids[n]];
+                if ((nRole & DIODE) && LINK_DX[d] !== 1) continue;
+                if ((nRole & SENSOR) && !this.sensing(nx, ny)) continue;
+                
+                mark[n] = serial;
+                queue[count] = n;
+                queueX[count] = nx;
+                queueY[count] = ny;
+                count++;
+            }
+        }
+        
+        const level = grounded ? CHARGE.CURRENT : CHARGE.LIVE;
+        for (let k = 0; k < count; k++) {
+            if (charge[queue[k]] < level) charge[queue[k]] = level;
+        }
+        if (!grounded) return;
+        
+        const current = voltage / resistance;
+        const power = current * current * HEAT_PER_POWER;
+        for (let k = 0; k < count; k++) {
+            const r = this.resistance[ids[queue[k]]];
+            if (r > 0) {
+                temperature[queue[k]] += power * r;
+                sim.wakeIndex(queue[k]);
+            }
+        }
+    }
+
+    /**
+     * Whether a sensor cell is touched by anything other than air, wiring
+     * or fixed structure
+     */
+    sensing(x, y) {
+        const sim = this.sim;
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (dx === 0 && dy === 0) continue;
+                const idx = sim.index(x + dx, y + dy);
+                if (idx < 0) continue;
+                const id = sim.ids[idx];
+                if (id !== MATERIAL.AIR && !(this.role[id] & FIXED)) return true;
+            }
+        }
+        return false;
+    }
+}
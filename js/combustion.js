@@ -0,0 +1,240 @@
+/**
+ * Combustion Engine for Earth Physics Sandbox
+ * A fuel past its burnTemp catches and burns in place for its burnTime,
+ * giving off heat, flames and smoke in proportion to its fuel, and leaves
+ * its burnsTo residue behind. Burning draws oxygen from the air around it;
+ * each air cell keeps the oxygen it has given up in its life field, and the
+ * smoke a fire gives off clears into spent air, so a fire shut in uses up
+ * its air and smothers, while one in the open draws on all the air around
+ * it, topped up from the sky when the top edge is open
+ */
+
+import { MATERIAL, MATERIALS } from './materials.js';
+import { NEIGHBOR_DX, NEIGHBOR_DY } from './reactions.js';
+import { BOUNDARY, INTERACTION_INTERVAL, INTERACTION_PHASES } from './simulation.js';
+
+// Oxygen in a cell of fresh air. An air cell's life counts what it has
+// given up, so fresh air is 0 and spent air is OXYGEN
+export const OXYGEN = 100;
+
+// Oxygen a burning cell draws per check - with no air around that has this
+// much left, it smothers
+const BREATH = 10;
+
+// Cell state bit for a fuel cell that is alight
+const BURNING = 1;
+
+// Heat (degrees per check) that sends up one puff of smoke per check on
+// average, and that keeps a flame alight for one tick
+const HEAT_PER_PUFF = 200;
+const HEAT_PER_FLAME_TICK = 1;
+
+// Shortest and longest a flame thrown off by burning fuel lives, in ticks
+const MIN_FLAME_LIFE = 5;
+const MAX_FLAME_LIFE = 60;
+
+// Chances per check
+const IGNITE_CHANCE = 0.3;      // a fuel past its burnTemp catches
+const FLAME_CHANCE = 0.3;       // burning fuel throws a flame into the air
+const SMOTHER_CHANCE = 0.2;     // fuel starved of oxygen goes out
+
+// Where flames and smoke go, as neighbor indexes: above first
+const VENT_DIRS = [0, 4, 5, 2, 3];
+
+export class CombustionEngine {
+    constructor(simulation) {
+        this.sim = simulation;
+        this.rng = simulation.rng;
+        
+        // Ticks between two checks of the same cell
+        this.ticksPerCheck = INTERACTION_INTERVAL * INTERACTION_PHASES;
+        
+        // Lookup tables by material id (-1 for no residue)
+        this.fuel = new Float32Array(65536);
+        this.burnTime = new Int16Array(65536);
+        this.burnTemp = new Float32Array(65536);
+        this.burnsTo = new Int32Array(65536);
+        this.buildTables();
+    }
+
+    /**
+     * Cache which materials burn, how hot and for how long
+     */
+    buildTables() {
+        this.fuel.fill(0);
+        this.burnTime.fill(0);
+        this.burnTemp.fill(0);
+        this.burnsTo.fill(-1);
+        for (const key in MATERIALS) {
+            const mat = MATERIALS[key];
+            const id = mat.id;
+            if (!mat.flammable || !mat.fuel || !mat.burnTime) continue;
+            this.fuel[id] = mat.fuel;
+            this.burnTime[id] = mat.burnTime;
+            this.burnTemp[id] = mat.burnTemp ?? 0;
+            if (mat.burnsTo !== undefined) this.burnsTo[id] = mat.burnsTo;
+        }
+    }
+
+    /**
+     * Whether the cell at a grid index is alight
+     */
+    isBurning(idx) {
+        return (this.sim.flags[idx] & BURNING) !== 0;
+    }
+
+    /**
+     * Oxygen left in an air cell
+     */
+    oxygen(idx) {
+        return OXYGEN - this.sim.life[idx];
+    }
+
+    /**
+     * Catch, burn or go out for one fuel cell
+     * Returns true if the cell is alight or changed material
+     */
+    update(x, y, id, neighbors) {
+        if (!this.fuel[id]) return false;
+        
+        const sim = this.sim;
+        const idx = sim.index(x, y);
+        const temp = sim.temperature[idx];
+        
+        if (!this.isBurning(idx)) {
+            if (temp < this.burnTemp[id] || this.rng.next() >= IGNITE_CHANCE) return false;
+            if (this.breathe(x, y, neighbors) < 0) return false;
+            sim.flags[idx] |= BURNING;
+            sim.life[idx] = this.burnTime[id];
+            sim.wakeIndex(idx);
+            return true;
+        }
+        
+        // Doused - cooled back below its burnTemp, it goes out
+        if (temp < this.burnTemp[id]) {
+            this.extinguish(idx);
+            return false;
+        }
+        
+        // Starved of oxygen it smoulders out, charring into its residue
+        if (this.breathe(x, y, neighbors) < 0) {
+            if (this.rng.next() >= SMOTHER_CHANCE) {
+                sim.wakeIndex(idx);
+                return true;
+            }
+            if (this.burnsTo[id] >= 0) {
+                sim.setCell(x, y, this.burnsTo[id], { temperature: temp });
+            } else {
+                this.extinguish(idx);
+            }
+            return true;
+        }
+        
+        const heat = this.fuel[id] * this.ticksPerCheck / this.burnTime[id];
+        sim.temperature[idx] = temp + heat;
+        this.vent(x, y, heat, neighbors);
+        
+        const life = sim.life[idx] - this.ticksPerCheck;
+        if (life > 0) {
+            sim.life[idx] = life;
+            sim.wakeIndex(idx);
+            return true;
+        }
+        
+        // Burnt out - fuel that leaves nothing goes up in a last flame
+        if (this.burnsTo[id] >= 0) {
+            sim.setCell(x, y, this.burnsTo[id], { temperature: sim.temperature[idx] });
+        } else {
+            sim.setCell(x, y, MATERIAL.FIRE, { life: this.flameLife(heat) });
+        }
+        return true;
+    }
+
+    /**
+     * Draw a breath of oxygen from the freshest air beside a cell
+     * Returns the grid index of the air breathed, or -1 if none had enough
+     */
+    breathe(x, y, neighbors) {
+        const sim = this.sim;
+        let best = -1;
+        let bestOxygen = BREATH - 1;
+        for (let i = 0; i < 8; i++) {
+            if (neighbors[i] !== MATERIAL.AIR) continue;
+            const j = sim.index(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i]);
+            if (j < 0) continue;
+            const oxygen = this.oxygen(j);
+            if (oxygen > bestOxygen) {
+                best = j;
+                bestOxygen = oxygen;
+            }
+        }
+        if (best >= 0) sim.life[best] += BREATH;
+        return best;
+    }
+
+    /**
+     * Throw off a flame and smoke into the open air beside burning fuel,
+     * more and longer-lived the hotter it burns
+     */
+    vent(x, y, heat, neighbors) {
+        const rng = this.rng;
+        const flame = rng.next() < FLAME_CHANCE;
+        const smoke = rng.next() < heat / HEAT_PER_PUFF;
+        if (!flame && !smoke) return;
+        
+        for (const i of VENT_DIRS) {
+            if (neighbors[i] !== MATERIAL.AIR) continue;
+            const nx = x + NEIGHBOR_DX[i];
+            const ny = y + NEIGHBOR_DY[i];
+            if (flame) {
+                this.sim.setCell(nx, ny, MATERIAL.FIRE, { life: this.flameLife(heat) });
+            } else {
+                this.sim.setCell(nx, ny, MATERIAL.SMOKE);
+            }
+            return;
+        }
+    }
+
+    /**
+     * Ticks a flame from fuel burning at some heat stays alight
+     */
+    flameLife(heat) {
+        return Math.max(MIN_FLAME_LIFE, Math.min(MAX_FLAME_LIFE, Math.round(heat / HEAT_PER_FLAME_TICK)));
+    }
+
+    /**
+     * Put out a burning cell, leaving what is left of its fuel
+     */
+    extinguish(idx) {
+        this.sim.flags[idx] &= ~BURNING;
+        this.sim.life[idx] = 0;
+    }
+
+    /**
+     * Stir a spent air cell into one of the air cells around it, so spent
+     * air spreads out through an enclosed space and fresh air creeps back
+     * toward a fire. Air along the top of the world freshens at once when
+     * that edge is open to the sky (void or wrap)
+     */
+    updateAir(x, y) {
+        const sim = this.sim;
+        const idx = sim.index(x, y);
+        const spent = sim.life[idx];
+        if (!spent) return false;
+        
+        if (y === 0 && sim.boundary.top !== BOUNDARY.WALL) {
+            sim.life[idx] = 0;
+            return false;
+        }
+        
+        const i = Math.floor(this.rng.next() * 8);
+        const j = sim.index(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i]);
+        if (j < 0 || sim.ids[j] !== MATERIAL.AIR) return false;
+        
+        const total = spent + sim.life[j];
+        sim.life[j] = total >> 1;
+        sim.life[idx] = total - (total >> 1);
+        sim.wakeIndex(idx);
+        return false;
+    }
+}
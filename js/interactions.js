@@ -1,316 +1,153 @@
 /**
  * Material Interactions for Earth Physics Sandbox
- * Handles chemical reactions and material transformations
+ * Handles phase changes and the reactions in the reaction table, and hands
+ * cells on to the combustion, plant, soil and weather engines
  */
 
-import { MATERIAL, MATERIALS, STATE, getMaterial } from './materials.js';
+import { MATERIAL, getMaterial } from './materials.js';
+import { DEFAULT_REACTIONS, NEIGHBOR_DX, NEIGHBOR_DY, compileReactions, parseReactions } from './reactions.js';
+
+// Chance per check that a cell past a phase threshold changes phase
+const PHASE_CHANGE_CHANCE = 0.1;
 
 export class InteractionsEngine {
     constructor(simulation) {
         this.sim = simulation;
+        this.rng = simulation.rng;
+        
+        // Reused neighbor buffer - avoids allocating per cell
+        this.neighbors = new Uint16Array(8);
+        
+        // Reaction rows as given, and compiled into lists by material id
+        this.reactions = DEFAULT_REACTIONS;
+        this.table = [];
+        this.buildTables();
+    }
+
+    /**
+     * Recompile the reaction table - thresholds it names are read from the
+     * materials at this point
+     */
+    buildTables() {
+        this.table = compileReactions(this.reactions);
+    }
+
+    /**
+     * Replace the reaction table (JSON text, { reactions } or an array of rows)
+     * A table with any bad row is rejected whole and the old one kept
+     */
+    setReactions(data) {
+        const rules = parseReactions(data);
+        this.table = compileReactions(rules);
+        this.reactions = rules;
     }
 
     /**
      * Check and handle interactions for a cell
      */
     update(x, y) {
-        const cell = this.sim.getCell(x, y);
-        if (cell.id === MATERIAL.AIR) return false;
+        const id = this.sim.getCell(x, y);
+        if (id === MATERIAL.AIR) return this.sim.combustion.updateAir(x, y);
         
-        const mat = getMaterial(cell.id);
+        const mat = getMaterial(id);
         let changed = false;
-
+        
         // Check neighbors
         const neighbors = this.getNeighbors(x, y);
         
         // Check each possible interaction
-        changed = this.checkMelting(x, y, cell, mat, neighbors) || changed;
-        changed = this.checkBurning(x, y, cell, mat, neighbors) || changed;
-        changed = this.checkMixing(x, y, cell, mat, neighbors) || changed;
-        changed = this.checkGrowing(x, y, cell, mat, neighbors) || changed;
-        changed = this.checkConduction(x, y, cell, mat, neighbors) || changed;
-        changed = this.checkErosion(x, y, cell, mat, neighbors) || changed;
+        changed = this.checkMelting(x, y, id, mat, neighbors) || changed;
+        changed = this.checkReactions(x, y, id, mat, neighbors) || changed;
+        
+        // Burning, growth, soil moisture and weather only run for a cell that
+        // is still what it was
+        if (!changed) {
+            changed = this.sim.combustion.update(x, y, id, neighbors) ||
+                this.sim.plants.update(x, y, id, neighbors) ||
+                this.sim.soil.update(x, y, id, neighbors) ||
+                this.sim.weatherEngine.update(x, y, id, neighbors);
+        }
         
         return changed;
     }
 
     /**
-     * Get all 8 neighbors of a cell
+     * Get material ids of all 8 neighbors of a cell
      */
     getNeighbors(x, y) {
-        return {
-            above: this.sim.getCell(x, y - 1),
-            below: this.sim.getCell(x, y + 1),
-            left: this.sim.getCell(x - 1, y),
-            right: this.sim.getCell(x + 1, y),
-            aboveLeft: this.sim.getCell(x - 1, y - 1),
-            aboveRight: this.sim.getCell(x + 1, y - 1),
-            belowLeft: this.sim.getCell(x - 1, y + 1),
-            belowRight: this.sim.getCell(x + 1, y + 1)
-        };
-    }
-
-    /**
-     * Check for melting/freezing (ice <-> water, water -> steam)
-     */
-    checkMelting(x, y, cell, mat, neighbors) {
-        // Ice melting
-        if (cell.id === MATERIAL.ICE) {
-            // Check for nearby heat sources
-            for (const neighbor of Object.values(neighbors)) {
-                const neighborMat = getMaterial(neighbor.id);
-                if (neighborMat.temperature > mat.meltTemp + 50 || 
-                    neighbor.id === MATERIAL.FIRE || 
-                    neighbor.id === MATERIAL.LAVA) {
-                    if (Math.random() < 0.05) {
-                        this.sim.setCell(x, y, MATERIAL.WATER);
-                        return true;
-                    }
-                }
-            }
+        const neighbors = this.neighbors;
+        for (let i = 0; i < 8; i++) {
+            neighbors[i] = this.sim.getCell(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i]);
         }
-        
-        // Water evaporating near heat
-        if (cell.id === MATERIAL.WATER) {
-            for (const neighbor of Object.values(neighbors)) {
-                if (neighbor.id === MATERIAL.FIRE || neighbor.id === MATERIAL.LAVA) {
-                    if (Math.random() < 0.1) {
-                        this.sim.setCell(x, y, MATERIAL.STEAM);
-                        return true;
-                    }
-                }
-            }
-        }
-        
-        return false;
+        return neighbors;
     }
 
     /**
-     * Check for burning/ignition
+     * Check if any neighbor is the given material
      */
-    checkBurning(x, y, cell, mat, neighbors) {
-        if (!mat.flammable) return false;
-        
-        // Check for fire or ignition sources
-        let ignitionSource = false;
-        for (const neighbor of Object.values(neighbors)) {
-            const neighborMat = getMaterial(neighbor.id);
-            if (neighborMat.ignites || neighbor.id === MATERIAL.FIRE) {
-                ignitionSource = true;
-                break;
-            }
-        }
-        
-        if (!ignitionSource) return false;
-        
-        // Different burn behaviors
-        switch (cell.id) {
-            case MATERIAL.WOOD:
-                if (Math.random() < 0.02) {
-                    // Wood burns to fire first, then becomes charcoal
-                    this.sim.setCell(x, y, MATERIAL.FIRE);
-                    // Spawn charcoal below sometimes
-                    if (Math.random() < 0.3) {
-                        const below = neighbors.below;
-                        if (below.id === MATERIAL.AIR) {
-                            this.sim.setCell(x, y + 1, MATERIAL.CHARCOAL);
-                        }
-                    }
-                    return true;
-                }
-                break;
-                
-            case MATERIAL.OIL:
-                if (Math.random() < 0.15) {
-                    this.sim.setCell(x, y, MATERIAL.FIRE);
-                    return true;
-                }
-                break;
-                
-            case MATERIAL.GAS:
-                if (Math.random() < 0.5) {
-                    // Gas explodes!
-                    this.sim.setCell(x, y, MATERIAL.EXPLOSION);
-                    return true;
-                }
-                break;
-                
-            case MATERIAL.GRASS:
-            case MATERIAL.PLANT:
-                if (Math.random() < 0.05) {
-                    this.sim.setCell(x, y, MATERIAL.FIRE);
-                    return true;
-                }
-                break;
-                
-            case MATERIAL.CHARCOAL:
-                if (Math.random() < 0.01) {
-                    this.sim.setCell(x, y, MATERIAL.FIRE);
-                    return true;
-                }
-                break;
+    hasNeighbor(neighbors, materialId) {
+        for (let i = 0; i < 8; i++) {
+            if (neighbors[i] === materialId) return true;
         }
-        
         return false;
     }
 
     /**
-     * Check for material mixing/reactions
+     * Check for temperature-driven phase changes
+     * Melting, freezing, boiling and condensing against the declared thresholds
      */
-    checkMixing(x, y, cell, mat, neighbors) {
-        // Sand + Water = Mud
-        if (cell.id === MATERIAL.SAND) {
-            for (const neighbor of Object.values(neighbors)) {
-                if (neighbor.id === MATERIAL.WATER) {
-                    if (Math.random() < 0.05) {
-                        this.sim.setCell(x, y, MATERIAL.MUD);
-                        return true;
-                    }
-                }
-            }
-        }
-        
-        // Dirt + Water = Can spawn grass on top
-        if (cell.id === MATERIAL.DIRT) {
-            const above = neighbors.above;
-            if (above.id === MATERIAL.AIR) {
-                let hasWater = false;
-                for (const neighbor of Object.values(neighbors)) {
-                    if (neighbor.id === MATERIAL.WATER) {
-                        hasWater = true;
-                        break;
-                    }
-                }
-                if (hasWater && Math.random() < 0.001) {
-                    this.sim.setCell(x, y - 1, MATERIAL.GRASS);
-                    return true;
-                }
-            }
-        }
-        
-        // Lava + Water = Stone + Steam
-        if (cell.id === MATERIAL.LAVA) {
-            for (const [key, neighbor] of Object.entries(neighbors)) {
-                if (neighbor.id === MATERIAL.WATER) {
-                    if (Math.random() < 0.3) {
-                        this.sim.setCell(x, y, MATERIAL.STONE);
-                        // Replace water with steam
-                        const nx = key.includes('Left') ? x - 1 : key.includes('Right') ? x + 1 : x;
-                        const ny = key.includes('above') ? y - 1 : key.includes('below') ? y + 1 : y;
-                        this.sim.setCell(nx, ny, MATERIAL.STEAM);
-                        return true;
-                    }
-                }
-            }
+    checkMelting(x, y, id, mat, neighbors) {
+        const temp = this.sim.temperature[y * this.sim.width + x];
+        let target = -1;
+        
+        if (mat.meltsTo !== undefined && temp > mat.meltTemp) {
+            target = mat.meltsTo;
+        } else if (mat.freezesTo !== undefined && temp < mat.freezeTemp) {
+            target = mat.freezesTo;
+        } else if (mat.evaporatesTo !== undefined && temp >= mat.evaporateTemp) {
+            target = mat.evaporatesTo;
+        } else if (mat.condensesTo !== undefined && temp <= mat.condenseTemp) {
+            target = mat.condensesTo;
         }
         
-        // Water + Lava = Stone + Steam (from water's perspective too)
-        if (cell.id === MATERIAL.WATER) {
-            for (const [key, neighbor] of Object.entries(neighbors)) {
-                if (neighbor.id === MATERIAL.LAVA) {
-                    if (Math.random() < 0.3) {
-                        this.sim.setCell(x, y, MATERIAL.STEAM);
-                        return true;
-                    }
-                }
-            }
-        }
+        if (target === -1 || this.rng.next() >= PHASE_CHANGE_CHANCE) return false;
         
-        return false;
+        // The new phase keeps the heat it had
+        this.sim.setCell(x, y, target, { temperature: temp });
+        return true;
     }
 
     /**
-     * Check for growing (grass, plants)
+     * Fire the first reaction from the table that applies to this cell
      */
-    checkGrowing(x, y, cell, mat, neighbors) {
-        // Grass spreads on dirt
-        if (cell.id === MATERIAL.GRASS) {
-            if (Math.random() < 0.002) {
-                const dirs = [
-                    { dx: -1, dy: 0 },
-                    { dx: 1, dy: 0 },
-                    { dx: 0, dy: 1 }
-                ];
-                for (const { dx, dy } of dirs) {
-                    const neighbor = this.sim.getCell(x + dx, y + dy);
-                    const above = this.sim.getCell(x + dx, y + dy - 1);
-                    if (neighbor.id === MATERIAL.DIRT && above.id === MATERIAL.AIR) {
-                        this.sim.setCell(x + dx, y + dy - 1, MATERIAL.GRASS);
-                        return true;
-                    }
-                }
-            }
-        }
-        
-        // Plants grow upward
-        if (cell.id === MATERIAL.PLANT) {
-            const above = neighbors.above;
-            if (above.id === MATERIAL.AIR && Math.random() < 0.001) {
-                // Check for water nearby
-                let hasWater = false;
-                for (const neighbor of Object.values(neighbors)) {
-                    if (neighbor.id === MATERIAL.WATER) {
-                        hasWater = true;
-                        break;
-                    }
-                }
-                if (hasWater) {
-                    this.sim.setCell(x, y - 1, MATERIAL.PLANT);
+    checkReactions(x, y, id, mat, neighbors) {
+        const rules = this.table[id];
+        if (!rules) return false;
+        
+        const temp = this.sim.temperature[y * this.sim.width + x];
+        for (const rule of rules) {
+            if (temp < rule.minTemp || temp > rule.maxTemp) continue;
+            if (rule.requires >= 0 && !this.hasNeighbor(neighbors, rule.requires)) continue;
+            
+            if (rule.neighbor < 0) {
+                if (this.rng.next() < rule.rate) {
+                    this.sim.setCell(x, y, rule.becomes);
+                    this.sim.statsRecorder.recordReaction();
                     return true;
                 }
+                continue;
             }
-        }
-        
-        return false;
-    }
-
-    /**
-     * Check for electrical conduction
-     */
-    checkConduction(x, y, cell, mat, neighbors) {
-        // Electricity spreads through conductive materials
-        if (cell.id === MATERIAL.ELECTRICITY) {
-            for (const [key, neighbor] of Object.entries(neighbors)) {
-                const neighborMat = getMaterial(neighbor.id);
-                if (neighborMat.conductive && neighbor.id !== MATERIAL.ELECTRICITY) {
-                    if (Math.random() < 0.5) {
-                        const nx = key.includes('Left') ? x - 1 : key.includes('Right') ? x + 1 : x;
-                        const ny = key.includes('above') ? y - 1 : key.includes('below') ? y + 1 : y;
-                        
-                        // Chance to spawn new electricity or damage
-                        if (Math.random() < 0.3) {
-                            // Store original material and create spark effect
-                            const origId = neighbor.id;
-                            this.sim.setCell(nx, ny, MATERIAL.ELECTRICITY);
-                        }
-                    }
+            
+            for (const i of rule.where) {
+                if (neighbors[i] !== rule.neighbor || this.rng.next() >= rule.rate) continue;
+                if (rule.becomes >= 0) {
+                    this.sim.setCell(x, y, rule.becomes);
                 }
-            }
-        }
-        
-        return false;
-    }
-
-    /**
-     * Check for erosion (water erodes sand/dirt)
-     */
-    checkErosion(x, y, cell, mat, neighbors) {
-        if (cell.id === MATERIAL.WATER) {
-            // Erode sand and dirt
-            for (const [key, neighbor] of Object.entries(neighbors)) {
-                if (neighbor.id === MATERIAL.SAND || neighbor.id === MATERIAL.DIRT) {
-                    if (Math.random() < 0.0005) { // Very slow erosion
-                        const nx = key.includes('Left') ? x - 1 : key.includes('Right') ? x + 1 : x;
-                        const ny = key.includes('above') ? y - 1 : key.includes('below') ? y + 1 : y;
-                        
-                        if (neighbor.id === MATERIAL.SAND) {
-                            this.sim.setCell(nx, ny, MATERIAL.MUD);
-                        } else {
-                            this.sim.setCell(nx, ny, MATERIAL.MUD);
-                        }
-                        return true;
-                    }
+                if (rule.neighborBecomes >= 0) {
+                    this.sim.setCell(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i], rule.neighborBecomes);
                 }
+                this.sim.statsRecorder.recordReaction();
+                return true;
             }
         }
         
@@ -3,6 +3,8 @@
  * Each material has properties that define its physical behavior
  */
 
+import { defaultRandom } from "./random.js";
+
 // Material IDs
 export const MATERIAL = {
   AIR: 0,
@@ -13,24 +15,41 @@ export const MATERIAL = {
   CLAY: 4,
   METAL: 5,
   ICE: 6,
+  GLASS: 7,
+  BASALT: 8,
+  SNOW: 9,
   // Liquids
   WATER: 10,
   MUD: 11,
   OIL: 12,
   LAVA: 13,
+  MOLTEN_GLASS: 14,
+  MOLTEN_METAL: 15,
   // Gases
   STEAM: 20,
   SMOKE: 21,
   GAS: 22,
+  CLOUD: 23,
   // Organic
   GRASS: 30,
   PLANT: 31,
   WOOD: 32,
   CHARCOAL: 33,
+  SEED: 34,
+  ROOT: 35,
+  LEAF: 36,
+  DEAD_PLANT: 37,
   // Energy
   FIRE: 40,
   ELECTRICITY: 41,
   EXPLOSION: 42,
+  // Electric
+  BATTERY: 50,
+  GROUND: 51,
+  SWITCH: 52,
+  SWITCH_ON: 53,
+  SENSOR: 54,
+  DIODE: 55,
 };
 
 // Material states
@@ -51,46 +70,93 @@ export const CATEGORIES = {
     MATERIAL.CLAY,
     MATERIAL.METAL,
     MATERIAL.ICE,
+    MATERIAL.GLASS,
+    MATERIAL.BASALT,
+    MATERIAL.SNOW,
+  ],
+  liquids: [
+    MATERIAL.WATER,
+    MATERIAL.MUD,
+    MATERIAL.OIL,
+    MATERIAL.LAVA,
+    MATERIAL.MOLTEN_GLASS,
+    MATERIAL.MOLTEN_METAL,
+  ],
+  gases: [MATERIAL.AIR, MATERIAL.STEAM, MATERIAL.SMOKE, MATERIAL.GAS, MATERIAL.CLOUD],
+  organic: [
+    MATERIAL.GRASS,
+    MATERIAL.PLANT,
+    MATERIAL.WOOD,
+    MATERIAL.CHARCOAL,
+    MATERIAL.SEED,
+    MATERIAL.ROOT,
+    MATERIAL.LEAF,
+    MATERIAL.DEAD_PLANT,
   ],
-  liquids: [MATERIAL.WATER, MATERIAL.MUD, MATERIAL.OIL, MATERIAL.LAVA],
-  gases: [MATERIAL.AIR, MATERIAL.STEAM, MATERIAL.SMOKE, MATERIAL.GAS],
-  organic: [MATERIAL.GRASS, MATERIAL.PLANT, MATERIAL.WOOD, MATERIAL.CHARCOAL],
   energy: [MATERIAL.FIRE, MATERIAL.ELECTRICITY, MATERIAL.EXPLOSION],
+  electric: [
+    MATERIAL.BATTERY,
+    MATERIAL.GROUND,
+    MATERIAL.METAL,
+    MATERIAL.SWITCH,
+    MATERIAL.SWITCH_ON,
+    MATERIAL.SENSOR,
+    MATERIAL.DIODE,
+  ],
 };
 
 // Color variation helper
-function colorVariant(base, variance = 10) {
-  return () => {
-    const v = Math.floor(Math.random() * variance * 2) - variance;
+// Color functions take the random source so seeded runs stay reproducible;
+// the base color and variance stay readable on the function
+export function colorVariant(base, variance = 10) {
+  const color = (rng = defaultRandom) => {
+    const v = Math.floor(rng.next() * variance * 2) - variance;
     return [
       Math.max(0, Math.min(255, base[0] + v)),
       Math.max(0, Math.min(255, base[1] + v)),
       Math.max(0, Math.min(255, base[2] + v)),
     ];
   };
+  color.base = base;
+  color.variance = variance;
+  return color;
 }
 
 // Animated color for fire/lava
-function fireColor() {
-  const r = 200 + Math.floor(Math.random() * 55);
-  const g = Math.floor(Math.random() * 150);
-  const b = Math.floor(Math.random() * 50);
+function fireColor(rng = defaultRandom) {
+  const r = 200 + Math.floor(rng.next() * 55);
+  const g = Math.floor(rng.next() * 150);
+  const b = Math.floor(rng.next() * 50);
   return [r, g, b];
 }
 
-function lavaColor() {
-  const r = 200 + Math.floor(Math.random() * 55);
-  const g = 50 + Math.floor(Math.random() * 100);
+function lavaColor(rng = defaultRandom) {
+  const r = 200 + Math.floor(rng.next() * 55);
+  const g = 50 + Math.floor(rng.next() * 100);
   const b = 0;
   return [r, g, b];
 }
 
-function electricityColor() {
-  const intensity = Math.random() > 0.5 ? 255 : 200;
-  return [intensity, intensity, Math.floor(Math.random() * 100)];
+function electricityColor(rng = defaultRandom) {
+  const intensity = rng.next() > 0.5 ? 255 : 200;
+  return [intensity, intensity, Math.floor(rng.next() * 100)];
+}
+
+function explosionColor(rng = defaultRandom) {
+  return [255, 200 + rng.next() * 55, rng.next() * 100];
 }
 
 // Material properties database
+// Phase changes are driven by the thresholds here: past meltTemp a cell
+// turns into its meltsTo material (freezeTemp/freezesTo, evaporateTemp/
+// evaporatesTo and condenseTemp/condensesTo likewise), keeping its heat.
+// Melting sits above freezing so a cell does not flicker between phases
+// Soil soaks up water to its holdsWater and then turns into its saturatesTo
+// material; that dries back into its driesTo once down to half of what the
+// dry soil holds, so the two do not flicker either
+// A flammable material with fuel catches past its burnTemp and burns for
+// burnTime ticks, giving off fuel degrees of heat in all before leaving its
+// burnsTo residue, or nothing
 export const MATERIALS = {
   [MATERIAL.AIR]: {
     id: MATERIAL.AIR,
@@ -101,6 +167,7 @@ export const MATERIALS = {
     flammable: false,
     temperature: 20,
     conductivity: 0.01,
+    hardness: 0,
   },
 
   // === SOLIDS ===
@@ -113,7 +180,11 @@ export const MATERIALS = {
     flammable: false,
     temperature: 20,
     conductivity: 0.3,
+    hardness: 6,
+    blastsTo: MATERIAL.SAND,
     immovable: true,
+    meltsTo: MATERIAL.LAVA,
+    meltTemp: 1100,
   },
   [MATERIAL.DIRT]: {
     id: MATERIAL.DIRT,
@@ -124,7 +195,11 @@ export const MATERIALS = {
     flammable: false,
     temperature: 20,
     conductivity: 0.2,
+    hardness: 1,
     supportGrass: true,
+    fertile: true,
+    holdsWater: 400,
+    saturatesTo: MATERIAL.MUD,
   },
   [MATERIAL.SAND]: {
     id: MATERIAL.SAND,
@@ -135,17 +210,26 @@ export const MATERIALS = {
     flammable: false,
     temperature: 20,
     conductivity: 0.15,
+    hardness: 1,
+    meltsTo: MATERIAL.MOLTEN_GLASS,
+    meltTemp: 700,
+    holdsWater: 300,
+    saturatesTo: MATERIAL.MUD,
   },
   [MATERIAL.CLAY]: {
     id: MATERIAL.CLAY,
     name: "Clay",
     color: colorVariant([140, 100, 70], 10),
     density: 70,
-    state: STATE.SOLID,
+    state: STATE.POWDER,
     flammable: false,
     temperature: 20,
     conductivity: 0.25,
+    hardness: 3,
+    blastsTo: MATERIAL.DIRT,
     sticky: true,
+    holdsWater: 500,
+    saturatesTo: MATERIAL.MUD,
   },
   [MATERIAL.METAL]: {
     id: MATERIAL.METAL,
@@ -156,7 +240,11 @@ export const MATERIALS = {
     flammable: false,
     temperature: 20,
     conductivity: 0.9,
+    hardness: 12,
     conductive: true,
+    resistance: 0.5,
+    meltsTo: MATERIAL.MOLTEN_METAL,
+    meltTemp: 1300,
   },
   [MATERIAL.ICE]: {
     id: MATERIAL.ICE,
@@ -167,6 +255,54 @@ export const MATERIALS = {
     flammable: false,
     temperature: -10,
     conductivity: 0.5,
+    hardness: 3,
+    blastsTo: MATERIAL.WATER,
+    meltsTo: MATERIAL.WATER,
+    meltTemp: 0,
+  },
+  [MATERIAL.GLASS]: {
+    id: MATERIAL.GLASS,
+    name: "Glass",
+    // Close to the background so it reads as see-through
+    color: colorVariant([70, 110, 125], 4),
+    density: 110,
+    state: STATE.SOLID,
+    flammable: false,
+    temperature: 20,
+    conductivity: 0.3,
+    hardness: 2,
+    blastsTo: MATERIAL.SAND,
+    meltsTo: MATERIAL.MOLTEN_GLASS,
+    meltTemp: 800,
+  },
+  [MATERIAL.BASALT]: {
+    id: MATERIAL.BASALT,
+    name: "Basalt",
+    color: colorVariant([50, 48, 52], 8),
+    density: 110,
+    state: STATE.SOLID,
+    flammable: false,
+    temperature: 20,
+    conductivity: 0.3,
+    hardness: 8,
+    blastsTo: MATERIAL.SAND,
+    immovable: true,
+    meltsTo: MATERIAL.LAVA,
+    meltTemp: 1100,
+  },
+
+  [MATERIAL.SNOW]: {
+    id: MATERIAL.SNOW,
+    name: "Snow",
+    color: colorVariant([235, 240, 250], 8),
+    density: 10,
+    state: STATE.POWDER,
+    flammable: false,
+    temperature: -5,
+    conductivity: 0.1,
+    hardness: 0,
+    // Flakes drift down slowly instead of dropping like sand
+    fallRate: 0.3,
     meltsTo: MATERIAL.WATER,
     meltTemp: 0,
   },
@@ -181,10 +317,14 @@ export const MATERIALS = {
     flammable: false,
     temperature: 20,
     conductivity: 0.6,
+    hardness: 0,
     viscosity: 1,
     conductive: true,
+    resistance: 4,
     evaporatesTo: MATERIAL.STEAM,
     evaporateTemp: 100,
+    freezesTo: MATERIAL.ICE,
+    freezeTemp: 0,
   },
   [MATERIAL.MUD]: {
     id: MATERIAL.MUD,
@@ -195,7 +335,11 @@ export const MATERIALS = {
     flammable: false,
     temperature: 20,
     conductivity: 0.3,
+    hardness: 0,
     viscosity: 8,
+    holdsWater: 600,
+    driesTo: MATERIAL.DIRT,
+    compactsTo: MATERIAL.CLAY,
   },
   [MATERIAL.OIL]: {
     id: MATERIAL.OIL,
@@ -206,8 +350,11 @@ export const MATERIALS = {
     flammable: true,
     temperature: 20,
     conductivity: 0.1,
+    hardness: 0,
     viscosity: 3,
     burnTemp: 150,
+    fuel: 3000,
+    burnTime: 300,
   },
   [MATERIAL.LAVA]: {
     id: MATERIAL.LAVA,
@@ -216,11 +363,48 @@ export const MATERIALS = {
     density: 90,
     state: STATE.LIQUID,
     flammable: false,
-    temperature: 1200,
-    conductivity: 0.8,
+    temperature: 1400,
+    conductivity: 0.3,
+    hardness: 0,
     viscosity: 12,
     glows: true,
     ignites: true,
+    freezesTo: MATERIAL.STONE,
+    freezeTemp: 700,
+  },
+  [MATERIAL.MOLTEN_GLASS]: {
+    id: MATERIAL.MOLTEN_GLASS,
+    name: "Molten Glass",
+    color: colorVariant([255, 150, 60], 20),
+    density: 100,
+    state: STATE.LIQUID,
+    flammable: false,
+    temperature: 1000,
+    conductivity: 0.4,
+    hardness: 0,
+    viscosity: 15,
+    glows: true,
+    ignites: true,
+    freezesTo: MATERIAL.GLASS,
+    freezeTemp: 600,
+  },
+  [MATERIAL.MOLTEN_METAL]: {
+    id: MATERIAL.MOLTEN_METAL,
+    name: "Molten Metal",
+    color: colorVariant([255, 200, 120], 15),
+    density: 140,
+    state: STATE.LIQUID,
+    flammable: false,
+    temperature: 1400,
+    conductivity: 0.9,
+    hardness: 0,
+    viscosity: 4,
+    conductive: true,
+    resistance: 0.5,
+    glows: true,
+    ignites: true,
+    freezesTo: MATERIAL.METAL,
+    freezeTemp: 1200,
   },
 
   // === GASES ===
@@ -233,9 +417,11 @@ export const MATERIALS = {
     flammable: false,
     temperature: 100,
     conductivity: 0.05,
-    condensesTo: MATERIAL.WATER,
+    hardness: 0,
+    // Cooled vapour, or vapour that reaches the cloud layer, turns to cloud
+    condensesTo: MATERIAL.CLOUD,
     condenseTemp: 80,
-    lifetime: 300,
+    gathersTo: MATERIAL.CLOUD,
   },
   [MATERIAL.SMOKE]: {
     id: MATERIAL.SMOKE,
@@ -246,8 +432,10 @@ export const MATERIALS = {
     flammable: false,
     temperature: 80,
     conductivity: 0.02,
+    hardness: 0,
     lifetime: 200,
     dissipates: true,
+    exhaust: true,
   },
   [MATERIAL.GAS]: {
     id: MATERIAL.GAS,
@@ -258,10 +446,27 @@ export const MATERIALS = {
     flammable: true,
     temperature: 20,
     conductivity: 0.02,
+    hardness: 0,
     explosive: true,
     burnTemp: 50,
   },
 
+  [MATERIAL.CLOUD]: {
+    id: MATERIAL.CLOUD,
+    name: "Cloud",
+    color: colorVariant([215, 220, 230], 10),
+    density: -10,
+    state: STATE.GAS,
+    flammable: false,
+    temperature: 10,
+    conductivity: 0.05,
+    hardness: 0,
+    // Moved by the weather engine rather than rising like other gases
+    immovable: true,
+    rainsTo: MATERIAL.WATER,
+    snowsTo: MATERIAL.SNOW,
+  },
+
   // === ORGANIC ===
   [MATERIAL.GRASS]: {
     id: MATERIAL.GRASS,
@@ -272,8 +477,13 @@ export const MATERIALS = {
     flammable: true,
     temperature: 20,
     conductivity: 0.1,
+    hardness: 0.5,
     burnTemp: 200,
+    fuel: 600,
+    burnTime: 120,
     grows: true,
+    // Smothered grass dies back to bare dirt
+    diesTo: MATERIAL.DIRT,
   },
   [MATERIAL.PLANT]: {
     id: MATERIAL.PLANT,
@@ -284,9 +494,15 @@ export const MATERIALS = {
     flammable: true,
     temperature: 20,
     conductivity: 0.1,
+    hardness: 0.5,
     burnTemp: 180,
+    fuel: 800,
+    burnTime: 180,
+    wiltTemp: 70,
     spreads: true,
     needsWater: true,
+    holdsWater: 100,
+    diesTo: MATERIAL.DEAD_PLANT,
   },
   [MATERIAL.WOOD]: {
     id: MATERIAL.WOOD,
@@ -297,7 +513,11 @@ export const MATERIALS = {
     flammable: true,
     temperature: 20,
     conductivity: 0.15,
+    hardness: 4,
+    blastsTo: MATERIAL.CHARCOAL,
     burnTemp: 250,
+    fuel: 4000,
+    burnTime: 900,
     burnsTo: MATERIAL.CHARCOAL,
   },
   [MATERIAL.CHARCOAL]: {
@@ -309,7 +529,80 @@ export const MATERIALS = {
     flammable: true,
     temperature: 20,
     conductivity: 0.2,
+    hardness: 1,
     burnTemp: 400,
+    fuel: 6000,
+    burnTime: 1500,
+  },
+
+  [MATERIAL.SEED]: {
+    id: MATERIAL.SEED,
+    name: "Seed",
+    color: colorVariant([150, 120, 60], 15),
+    density: 40,
+    state: STATE.POWDER,
+    flammable: true,
+    temperature: 20,
+    conductivity: 0.1,
+    hardness: 0.5,
+    burnTemp: 200,
+    fuel: 300,
+    burnTime: 60,
+    germinates: true,
+  },
+  [MATERIAL.ROOT]: {
+    id: MATERIAL.ROOT,
+    name: "Root",
+    color: colorVariant([160, 130, 90], 12),
+    density: 30,
+    state: STATE.SOLID,
+    flammable: true,
+    temperature: 20,
+    conductivity: 0.1,
+    hardness: 1,
+    burnTemp: 200,
+    fuel: 600,
+    burnTime: 180,
+    wiltTemp: 70,
+    roots: true,
+    needsWater: true,
+    holdsWater: 100,
+    bondsWith: MATERIAL.PLANT,
+    diesTo: MATERIAL.DEAD_PLANT,
+  },
+  [MATERIAL.LEAF]: {
+    id: MATERIAL.LEAF,
+    name: "Leaf",
+    color: colorVariant([90, 190, 60], 25),
+    density: 15,
+    state: STATE.SOLID,
+    flammable: true,
+    temperature: 20,
+    conductivity: 0.1,
+    hardness: 0.5,
+    burnTemp: 160,
+    fuel: 400,
+    burnTime: 60,
+    wiltTemp: 60,
+    needsWater: true,
+    holdsWater: 60,
+    bondsWith: MATERIAL.PLANT,
+    diesTo: MATERIAL.DEAD_PLANT,
+  },
+  [MATERIAL.DEAD_PLANT]: {
+    id: MATERIAL.DEAD_PLANT,
+    name: "Dead Plant",
+    color: colorVariant([120, 95, 50], 15),
+    density: 20,
+    state: STATE.POWDER,
+    flammable: true,
+    temperature: 20,
+    conductivity: 0.1,
+    hardness: 0.5,
+    burnTemp: 120,
+    fuel: 800,
+    burnTime: 120,
+    decaysTo: MATERIAL.DIRT,
   },
 
   // === ENERGY ===
@@ -321,10 +614,12 @@ export const MATERIALS = {
     state: STATE.ENERGY,
     flammable: false,
     temperature: 600,
-    conductivity: 0.1,
+    conductivity: 0.5,
+    hardness: 0,
     lifetime: 60,
     produces: MATERIAL.SMOKE,
     glows: true,
+    emitsHeat: true,
     ignites: true,
   },
   [MATERIAL.ELECTRICITY]: {
@@ -336,24 +631,123 @@ export const MATERIALS = {
     flammable: false,
     temperature: 50,
     conductivity: 1,
+    hardness: 0,
     lifetime: 5,
+    voltage: 10,
     glows: true,
     ignites: true,
   },
   [MATERIAL.EXPLOSION]: {
     id: MATERIAL.EXPLOSION,
     name: "Explosion",
-    color: () => [255, 200 + Math.random() * 55, Math.random() * 100],
+    color: explosionColor,
     density: 0,
     state: STATE.ENERGY,
     flammable: false,
     temperature: 2000,
     conductivity: 0,
+    hardness: 0,
     lifetime: 3,
     force: 10,
+    blastRadius: 5,
     glows: true,
+    emitsHeat: true,
     ignites: true,
   },
+
+  // === ELECTRIC ===
+  // Circuit parts are fixed in place and never overheat the wire they are
+  // part of (no resistance). Charge itself lives in the simulation's
+  // charge field, not in the material
+  [MATERIAL.BATTERY]: {
+    id: MATERIAL.BATTERY,
+    name: "Battery",
+    color: colorVariant([210, 170, 40], 8),
+    density: 120,
+    state: STATE.SOLID,
+    flammable: false,
+    temperature: 20,
+    conductivity: 0.4,
+    hardness: 8,
+    immovable: true,
+    conductive: true,
+    circuit: true,
+    voltage: 10,
+  },
+  [MATERIAL.GROUND]: {
+    id: MATERIAL.GROUND,
+    name: "Ground",
+    color: colorVariant([75, 90, 70], 6),
+    density: 120,
+    state: STATE.SOLID,
+    flammable: false,
+    temperature: 20,
+    conductivity: 0.4,
+    hardness: 8,
+    immovable: true,
+    conductive: true,
+    circuit: true,
+    ground: true,
+  },
+  [MATERIAL.SWITCH]: {
+    id: MATERIAL.SWITCH,
+    name: "Switch",
+    color: colorVariant([150, 50, 50], 6),
+    density: 120,
+    state: STATE.SOLID,
+    flammable: false,
+    temperature: 20,
+    conductivity: 0.4,
+    hardness: 6,
+    immovable: true,
+    circuit: true,
+    togglesTo: MATERIAL.SWITCH_ON,
+  },
+  [MATERIAL.SWITCH_ON]: {
+    id: MATERIAL.SWITCH_ON,
+    name: "Switch On",
+    color: colorVariant([235, 95, 95], 6),
+    density: 120,
+    state: STATE.SOLID,
+    flammable: false,
+    temperature: 20,
+    conductivity: 0.4,
+    hardness: 6,
+    immovable: true,
+    conductive: true,
+    circuit: true,
+    togglesTo: MATERIAL.SWITCH,
+  },
+  [MATERIAL.SENSOR]: {
+    id: MATERIAL.SENSOR,
+    name: "Sensor",
+    color: colorVariant([70, 120, 210], 6),
+    density: 120,
+    state: STATE.SOLID,
+    flammable: false,
+    temperature: 20,
+    conductivity: 0.4,
+    hardness: 6,
+    immovable: true,
+    conductive: true,
+    circuit: true,
+    sensor: true,
+  },
+  [MATERIAL.DIODE]: {
+    id: MATERIAL.DIODE,
+    name: "Diode",
+    color: colorVariant([165, 90, 200], 6),
+    density: 120,
+    state: STATE.SOLID,
+    flammable: false,
+    temperature: 20,
+    conductivity: 0.4,
+    hardness: 6,
+    immovable: true,
+    conductive: true,
+    circuit: true,
+    diode: true,
+  },
 };
 
 // Get material property safely
@@ -362,10 +756,10 @@ export function getMaterial(id) {
 }
 
 // Get color for a material (handles both static and dynamic colors)
-export function getColor(id) {
+export function getColor(id, rng = defaultRandom) {
   const mat = getMaterial(id);
   if (typeof mat.color === "function") {
-    return mat.color();
+    return mat.color(rng);
   }
   return mat.color;
 }
@@ -386,3 +780,15 @@ export function getMaterialByName(name) {
   }
   return null;
 }
+
+// Resolve a material given by name ("sand") or id (3) to its id
+export function resolveMaterial(ref) {
+  if (typeof ref === "number" && MATERIALS[ref]) {
+    return ref;
+  }
+  if (typeof ref === "string") {
+    const mat = getMaterialByName(ref);
+    if (mat) return mat.id;
+  }
+  throw new Error(`Unknown material: ${JSON.stringify(ref)}`);
+}
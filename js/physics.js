@@ -4,69 +4,283 @@
  */
 
 import { MATERIAL, MATERIALS, STATE, getMaterial } from './materials.js';
+import { OXYGEN } from './combustion.js';
+
+// Pressure (in cells of water) beyond a cell's own weight needed to push
+// liquid up into open air, and the excess at which it always rises
+const PRESSURE_LIFT_THRESHOLD = 1.5;
+const PRESSURE_LIFT_RANGE = 4;
+
+// Downward acceleration in cells per tick per tick
+const GRAVITY = 0.2;
+
+// Speed cap in cells per tick - also bounds the path traced each tick
+const MAX_SPEED = 6;
+
+// Share of speed kept by the other axis after hitting something
+const COLLISION_DAMPING = 0.5;
+
+// Share of sideways speed kept each tick while resting on something
+const GROUND_FRICTION = 0.7;
+
+// Slower than this (cells per tick) counts as stopped
+const REST_SPEED = 0.05;
+
+// Longest path the air left behind by a pressure lift is pulled along
+const MAX_BUBBLE_STEPS = 64;
+
+// Where that air may be pulled: down, left, right
+const BUBBLE_DX = [0, -1, 1];
+const BUBBLE_DY = [1, 0, 0];
+
+// The eight neighbor directions, clockwise on screen starting from right
+// Rules work relative to "down": turn 0 is down, +-1 the downward
+// diagonals, +-2 sideways, +-3 the upward diagonals and 4 straight up
+const RING_X = [1, 1, 0, -1, -1, -1, 0, 1];
+const RING_Y = [0, 1, 1, 1, 0, -1, -1, -1];
+const RING_DOWN = 2;
 
 export class PhysicsEngine {
     constructor(simulation) {
         this.sim = simulation;
+        this.rng = simulation.rng;
+        
+        // Gravity for the current tick - see setGravity
+        this.gravityX = 0;
+        this.gravityY = 1;
+        this.strength = 1;
+        this.octant = RING_DOWN;
+        this.angle = 0;
+    }
+
+    /**
+     * Set gravity: angle in degrees clockwise from straight down
+     * (90 = left, 180 = up, 270 = right), strength 1 = normal, 0 = zero-G
+     */
+    setGravity(angle, strength) {
+        this.angle = ((angle % 360) + 360) % 360;
+        this.strength = Math.max(0, strength);
+        const radians = this.angle * Math.PI / 180;
+        this.gravityX = -Math.sin(radians);
+        this.gravityY = Math.cos(radians);
+        this.octant = (RING_DOWN + Math.round(this.angle / 45)) & 7;
+    }
+
+    /**
+     * Pick this tick's "down" among the eight neighbor directions
+     * Angles between two directions alternate between them in proportion
+     */
+    beginTick() {
+        const steps = this.angle / 45;
+        const base = Math.floor(steps);
+        const frac = steps - base;
+        const pick = frac > 0 && this.rng.next() < frac ? base + 1 : base;
+        this.octant = (RING_DOWN + pick) & 7;
+    }
+
+    /**
+     * Offset of the direction `turn` eighths of a circle from down, positive
+     * turns counter-clockwise - with normal gravity +1 is down-right, +2 right
+     */
+    relX(turn) {
+        return RING_X[(this.octant - turn) & 7];
+    }
+
+    relY(turn) {
+        return RING_Y[(this.octant - turn) & 7];
+    }
+
+    /**
+     * Whether gravity pulls on this update - always at full strength and
+     * above, a matching share of updates below it, never in zero-G
+     */
+    gravityActs() {
+        return this.strength >= 1 || (this.strength > 0 && this.rng.next() < this.strength);
+    }
+
+    /**
+     * Horizontal and vertical scan direction that processes cells nearest
+     * "down" first, so a falling column moves as one
+     */
+    scanOrder() {
+        return { stepX: -this.relX(0), stepY: -this.relY(0) };
     }
 
     /**
      * Update physics for a single cell
      */
     update(x, y) {
-        const cell = this.sim.getCell(x, y);
-        if (cell.id === MATERIAL.AIR) return false;
+        const idx = y * this.sim.width + x;
+        const id = this.sim.ids[idx];
+        if (id === MATERIAL.AIR) return false;
         
-        // Mark as updated this frame to prevent double-processing
-        if (cell.updated === this.sim.frameCount) return false;
+        // Skip cells that already moved or changed this frame
+        if (this.sim.stamp[idx] === this.sim.frameCount) return false;
         
-        const mat = getMaterial(cell.id);
+        const mat = getMaterial(id);
         
         // Skip immovable solids
         if (mat.immovable) return false;
         
+        // Counting down a lifetime is a change too - keep the chunk awake
+        if (mat.lifetime) this.sim.wakeIndex(idx);
+        
+        // Solids at rest belong to a rigid body, which the body engine moves;
+        // only loose debris still in flight is handled here. Damp sticky
+        // powder (clay) holds together the same way
+        if (mat.state === STATE.SOLID || (mat.sticky && this.sim.soil.isDamp(idx, id))) {
+            if (this.sim.velocityX[idx] === 0 && this.sim.velocityY[idx] === 0) return false;
+            return this.updateMomentum(x, y, idx);
+        }
+        
+        // Anything else with weight carries momentum; cells at rest fall
+        // through to the cellular rules below
+        // Light powders drift down at their own pace instead, unless thrown
+        if (mat.state !== STATE.ENERGY && mat.state !== STATE.GAS &&
+            (!mat.fallRate || this.sim.velocityX[idx] !== 0 || this.sim.velocityY[idx] !== 0) &&
+            this.updateMomentum(x, y, idx)) {
+            return true;
+        }
+        
         // Update based on material state
         let moved = false;
         switch (mat.state) {
             case STATE.POWDER:
-                moved = this.updatePowder(x, y, cell, mat);
+                moved = this.updatePowder(x, y, idx, mat);
                 break;
             case STATE.LIQUID:
-                moved = this.updateLiquid(x, y, cell, mat);
+                moved = this.updateLiquid(x, y, idx, mat);
                 break;
             case STATE.GAS:
-                moved = this.updateGas(x, y, cell, mat);
+                moved = this.updateGas(x, y, idx, mat);
                 break;
             case STATE.ENERGY:
-                moved = this.updateEnergy(x, y, cell, mat);
-                break;
-            case STATE.SOLID:
-                moved = this.updateSolid(x, y, cell, mat);
+                moved = this.updateEnergy(x, y, idx, mat);
                 break;
         }
         
         return moved;
     }
 
+    /**
+     * Whether a moving cell can fly into a cell holding this material
+     */
+    canEnter(id) {
+        return id === MATERIAL.AIR || getMaterial(id).state === STATE.GAS;
+    }
+
+    /**
+     * Move a cell along its velocity, tracing the path cell by cell
+     * Gravity accelerates anything unsupported and hitting something damps
+     * the blocked component. Returns true if the cell moved
+     */
+    updateMomentum(x, y, idx) {
+        const sim = this.sim;
+        let vx = sim.velocityX[idx];
+        let vy = sim.velocityY[idx];
+        
+        const gx = this.gravityX;
+        const gy = this.gravityY;
+        const falling = vx * gx + vy * gy;
+        
+        if (this.strength > 0 && falling >= 0 &&
+            !this.canEnter(sim.getCell(x + this.relX(0), y + this.relY(0)))) {
+            // Resting on something - stop falling, friction bleeds off the rest
+            if (vx === 0 && vy === 0) return false;
+            vx -= falling * gx;
+            vy -= falling * gy;
+            vx = Math.abs(vx) < REST_SPEED ? 0 : vx * GROUND_FRICTION;
+            vy = Math.abs(vy) < REST_SPEED ? 0 : vy * GROUND_FRICTION;
+        } else if (this.strength > 0) {
+            vx += GRAVITY * this.strength * gx;
+            vy += GRAVITY * this.strength * gy;
+        } else if (vx === 0 && vy === 0) {
+            // Weightless and still
+            return false;
+        }
+        
+        const speed = Math.hypot(vx, vy);
+        if (speed > MAX_SPEED) {
+            vx *= MAX_SPEED / speed;
+            vy *= MAX_SPEED / speed;
+        }
+        
+        // Step along the velocity; round so slow cells keep accumulating speed
+        const steps = Math.ceil(Math.max(Math.abs(vx), Math.abs(vy)));
+        let cx = x;
+        let cy = y;
+        for (let s = 1; s <= steps; s++) {
+            const tx = x + Math.round(vx * s / steps);
+            const ty = y + Math.round(vy * s / steps);
+            if (tx === cx && ty === cy) continue;
+            
+            if (this.canEnter(sim.getCell(tx, ty))) {
+                sim.swap(cx, cy, tx, ty);
+                // Flew out through an open edge
+                if (sim.index(tx, ty) < 0) return true;
+                cx = tx;
+                cy = ty;
+                continue;
+            }
+            
+            // Blocked - damp whichever component ran into something
+            const hitY = ty !== cy && !this.canEnter(sim.getCell(cx, ty));
+            const hitX = tx !== cx && !this.canEnter(sim.getCell(tx, cy));
+            if (hitY) {
+                vy = 0;
+                vx *= COLLISION_DAMPING;
+            }
+            if (hitX) {
+                vx = -vx * COLLISION_DAMPING;
+                vy *= COLLISION_DAMPING;
+            }
+            if (!hitX && !hitY) {
+                vx *= COLLISION_DAMPING;
+                vy *= COLLISION_DAMPING;
+            }
+            break;
+        }
+        
+        const at = sim.index(cx, cy);
+        sim.velocityX[at] = vx;
+        sim.velocityY[at] = vy;
+        return cx !== x || cy !== y;
+    }
+
     /**
      * Powder physics (sand, dirt, charcoal)
      * Falls down, piles at natural angle of repose
      */
-    updatePowder(x, y, cell, mat) {
-        const below = this.sim.getCell(x, y + 1);
-        const belowMat = getMaterial(below.id);
-        
-        // Fall straight down into air
-        if (below.id === MATERIAL.AIR) {
-            this.sim.swap(x, y, x, y + 1);
+    updatePowder(x, y, idx, mat) {
+        if (!this.gravityActs()) return false;
+        
+        const downX = x + this.relX(0);
+        const downY = y + this.relY(0);
+        const below = this.sim.getCell(downX, downY);
+        const belowMat = getMaterial(below);
+        
+        // Fall straight down into air - light powders only some of the
+        // time, fluttering to the side as they go
+        if (below === MATERIAL.AIR) {
+            if (mat.fallRate) {
+                if (this.rng.next() >= mat.fallRate) return false;
+                const dir = this.rng.next() < 0.5 ? 1 : -1;
+                const diagX = x + this.relX(dir);
+                const diagY = y + this.relY(dir);
+                if (this.rng.next() < 0.5 && this.sim.getCell(diagX, diagY) === MATERIAL.AIR) {
+                    this.sim.swap(x, y, diagX, diagY);
+                    return true;
+                }
+            }
+            this.sim.swap(x, y, downX, downY);
             return true;
         }
         
         // Fall through less dense liquids (sink)
         if (belowMat.state === STATE.LIQUID && mat.density > belowMat.density) {
             // Slow sinking through liquid
-            if (Math.random() < 0.4) {
-                this.sim.swap(x, y, x, y + 1);
+            if (this.rng.next() < 0.4) {
+                this.sim.swap(x, y, downX, downY);
                 return true;
             }
             return false;
@@ -74,91 +288,106 @@ export class PhysicsEngine {
         
         // Try to slide diagonally (natural angle of repose)
         // Check both sides are clear before falling
-        const dir = Math.random() < 0.5 ? 1 : -1;
+        const dir = this.rng.next() < 0.5 ? 1 : -1;
+        const damp = this.sim.soil.isDamp(idx, mat.id);
         
         // First try: preferred direction
-        if (this.tryPowderSlide(x, y, dir, cell, mat)) return true;
+        if (this.tryPowderSlide(x, y, dir, mat, damp)) return true;
         
         // Second try: opposite direction
-        if (this.tryPowderSlide(x, y, -dir, cell, mat)) return true;
+        if (this.tryPowderSlide(x, y, -dir, mat, damp)) return true;
         
         return false;
     }
 
     /**
-     * Try to slide powder diagonally
+     * Try to slide powder diagonally (dir picks which side of down)
+     * Damp powder holds a steeper slope - it only slides off a drop of two
      */
-    tryPowderSlide(x, y, dir, cell, mat) {
-        const side = this.sim.getCell(x + dir, y);
-        const sideMat = getMaterial(side.id);
-        const diag = this.sim.getCell(x + dir, y + 1);
-        const diagMat = getMaterial(diag.id);
+    tryPowderSlide(x, y, dir, mat, damp) {
+        const side = this.sim.getCell(x + this.relX(2 * dir), y + this.relY(2 * dir));
+        const sideMat = getMaterial(side);
+        const diagX = x + this.relX(dir);
+        const diagY = y + this.relY(dir);
         
-        // Can only slide if diagonal is open (air or less dense liquid)
-        const diagOpen = diag.id === MATERIAL.AIR || 
-            (diagMat.state === STATE.LIQUID && mat.density > diagMat.density);
+        // Can only slide if diagonal is open (air or less dense liquid), and
+        // for damp powder the cell under it too
+        const diagOpen = this.powderCanEnter(this.sim.getCell(diagX, diagY), mat) &&
+            (!damp || this.powderCanEnter(this.sim.getCell(diagX + this.relX(0), diagY + this.relY(0)), mat));
         
         // Side must be passable (air or gas)
-        const sideOpen = side.id === MATERIAL.AIR || sideMat.state === STATE.GAS;
+        const sideOpen = side === MATERIAL.AIR || sideMat.state === STATE.GAS;
         
         if (diagOpen && sideOpen) {
-            this.sim.swap(x, y, x + dir, y + 1);
+            this.sim.swap(x, y, diagX, diagY);
             return true;
         }
         
         return false;
     }
 
+    /**
+     * Whether powder can slide into a cell - air, or a liquid it sinks in
+     */
+    powderCanEnter(id, mat) {
+        if (id === MATERIAL.AIR) return true;
+        const other = getMaterial(id);
+        return other.state === STATE.LIQUID && mat.density > other.density;
+    }
+
     /**
      * Liquid physics (water, oil, lava, mud)
      * Falls and spreads horizontally to equalize
      */
-    updateLiquid(x, y, cell, mat) {
+    updateLiquid(x, y, idx, mat) {
         const viscosity = mat.viscosity || 1;
         
         // Higher viscosity = slower updates
-        if (viscosity > 1 && Math.random() > 1 / viscosity) {
+        if (viscosity > 1 && this.rng.next() > 1 / viscosity) {
+            // Still flowing - don't let the chunk fall asleep mid-pour
+            if (this.sim.getCell(x + this.relX(0), y + this.relY(0)) === MATERIAL.AIR ||
+                this.sim.getCell(x + this.relX(-2), y + this.relY(-2)) === MATERIAL.AIR ||
+                this.sim.getCell(x + this.relX(2), y + this.relY(2)) === MATERIAL.AIR) {
+                this.sim.wakeIndex(idx);
+            }
             return false;
         }
         
-        const below = this.sim.getCell(x, y + 1);
-        const belowMat = getMaterial(below.id);
+        if (!this.gravityActs()) return false;
+        
+        const downX = x + this.relX(0);
+        const downY = y + this.relY(0);
+        const below = this.sim.getCell(downX, downY);
+        const belowMat = getMaterial(below);
         
         // Fall straight down into air
-        if (below.id === MATERIAL.AIR) {
-            this.sim.swap(x, y, x, y + 1);
+        if (below === MATERIAL.AIR) {
+            this.sim.swap(x, y, downX, downY);
             return true;
         }
         
         // Sink through less dense liquids
         if (belowMat.state === STATE.LIQUID && mat.density > belowMat.density) {
-            if (Math.random() < 0.5) {
-                this.sim.swap(x, y, x, y + 1);
+            if (this.rng.next() < 0.5) {
+                this.sim.swap(x, y, downX, downY);
                 return true;
             }
         }
         
-        // Float up through denser liquids
-        if (belowMat.state === STATE.LIQUID && mat.density < belowMat.density) {
-            const above = this.sim.getCell(x, y - 1);
-            if (above.id === MATERIAL.AIR || 
-                (getMaterial(above.id).state === STATE.LIQUID && getMaterial(above.id).density > mat.density)) {
-                // Don't swap with below, try to push up
-            }
-        }
-        
         // Try to fall diagonally
-        const dir = Math.random() < 0.5 ? 1 : -1;
+        const dir = this.rng.next() < 0.5 ? 1 : -1;
         
-        const diag1 = this.sim.getCell(x + dir, y + 1);
-        if (diag1.id === MATERIAL.AIR) {
-            this.sim.swap(x, y, x + dir, y + 1);
+        const diag1X = x + this.relX(dir);
+        const diag1Y = y + this.relY(dir);
+        if (this.sim.getCell(diag1X, diag1Y) === MATERIAL.AIR) {
+            this.sim.swap(x, y, diag1X, diag1Y);
             return true;
         }
         
-        const diag2 = this.sim.getCell(x - dir, y + 1);
-        if (diag2.id === MATERIAL.AIR) {
-            this.sim.swap(x, y, x - dir, y + 1);
+        const diag2X = x + this.relX(-dir);
+        const diag2Y = y + this.relY(-dir);
+        if (this.sim.getCell(diag2X, diag2Y) === MATERIAL.AIR) {
+            this.sim.swap(x, y, diag2X, diag2Y);
             return true;
         }
         
@@ -170,34 +399,47 @@ export class PhysicsEngine {
         
         if (canSpread) {
             // Try to flow to where there's more room
-            const left = this.sim.getCell(x - 1, y);
-            const right = this.sim.getCell(x + 1, y);
+            const leftX = x + this.relX(-2);
+            const leftY = y + this.relY(-2);
+            const rightX = x + this.relX(2);
+            const rightY = y + this.relY(2);
+            const left = this.sim.getCell(leftX, leftY);
+            const right = this.sim.getCell(rightX, rightY);
             
-            const canLeft = left.id === MATERIAL.AIR;
-            const canRight = right.id === MATERIAL.AIR;
+            const canLeft = left === MATERIAL.AIR;
+            const canRight = right === MATERIAL.AIR;
             
             if (canLeft && canRight) {
-                this.sim.swap(x, y, x + dir, y);
+                if (dir > 0) {
+                    this.sim.swap(x, y, rightX, rightY);
+                } else {
+                    this.sim.swap(x, y, leftX, leftY);
+                }
                 return true;
             } else if (canLeft) {
-                this.sim.swap(x, y, x - 1, y);
+                this.sim.swap(x, y, leftX, leftY);
                 return true;
             } else if (canRight) {
-                this.sim.swap(x, y, x + 1, y);
+                this.sim.swap(x, y, rightX, rightY);
+                return true;
+            }
+            
+            // Pressure from a taller connected column pushes liquid up
+            if (this.tryPressureLift(x, y, idx, mat)) {
                 return true;
             }
             
             // Pressure equalization - flow toward lower liquid levels
-            if (Math.random() < 0.3) {
-                const leftBelow = this.sim.getCell(x - 2, y + 1);
-                const rightBelow = this.sim.getCell(x + 2, y + 1);
+            if (this.rng.next() < 0.3) {
+                const leftBelow = this.sim.getCell(leftX * 2 - x + this.relX(0), leftY * 2 - y + this.relY(0));
+                const rightBelow = this.sim.getCell(rightX * 2 - x + this.relX(0), rightY * 2 - y + this.relY(0));
                 
-                if (leftBelow.id === MATERIAL.AIR && left.id === cell.id) {
-                    this.sim.swap(x, y, x - 1, y);
+                if (leftBelow === MATERIAL.AIR && left === mat.id) {
+                    this.sim.swap(x, y, leftX, leftY);
                     return true;
                 }
-                if (rightBelow.id === MATERIAL.AIR && right.id === cell.id) {
-                    this.sim.swap(x, y, x + 1, y);
+                if (rightBelow === MATERIAL.AIR && right === mat.id) {
+                    this.sim.swap(x, y, rightX, rightY);
                     return true;
                 }
             }
@@ -206,17 +448,67 @@ export class PhysicsEngine {
         return false;
     }
 
+    /**
+     * Rise into open air when the liquid's pressure exceeds its own weight,
+     * so connected vessels level out and liquid wells up through gaps
+     */
+    tryPressureLift(x, y, idx, mat) {
+        // The pressure field is built from vertical columns
+        if (this.octant !== RING_DOWN) return false;
+        if (this.sim.getCell(x, y - 1) !== MATERIAL.AIR) return false;
+        
+        const excess = this.sim.pressure[idx] - this.sim.pressureEngine.weightOf(mat.id) - PRESSURE_LIFT_THRESHOLD;
+        if (excess <= 0 || this.rng.next() * PRESSURE_LIFT_RANGE > excess) return false;
+        
+        this.sim.swap(x, y, x, y - 1);
+        this.sinkBubble(x, y);
+        return true;
+    }
+
+    /**
+     * Pull the air a pressure lift left behind back toward the source of the
+     * pressure, so the liquid that rose is really drawn from the taller column
+     * Follows rising hydraulic head and stops once no neighbor is higher
+     */
+    sinkBubble(x, y) {
+        const pressure = this.sim.pressureEngine;
+        let head = -Infinity;
+        
+        for (let step = 0; step < MAX_BUBBLE_STEPS; step++) {
+            let best = -1;
+            let bestHead = head;
+            for (let d = 0; d < BUBBLE_DX.length; d++) {
+                const ny = y + BUBBLE_DY[d];
+                const idx = this.sim.index(x + BUBBLE_DX[d], ny);
+                if (idx < 0) continue;
+                const h = pressure.head(idx, ny);
+                if (h > bestHead) {
+                    best = d;
+                    bestHead = h;
+                }
+            }
+            if (best < 0) return;
+            
+            this.sim.swap(x, y, x + BUBBLE_DX[best], y + BUBBLE_DY[best]);
+            x += BUBBLE_DX[best];
+            y += BUBBLE_DY[best];
+            head = bestHead;
+        }
+    }
+
     /**
      * Gas physics (steam, smoke)
      * Rises up and disperses
      */
-    updateGas(x, y, cell, mat) {
+    updateGas(x, y, idx, mat) {
         // Handle lifetime/dissipation
         if (mat.lifetime) {
-            cell.life = (cell.life || mat.lifetime) - 1;
-            if (cell.life <= 0) {
+            const life = (this.sim.life[idx] || mat.lifetime) - 1;
+            this.sim.life[idx] = life;
+            if (life <= 0) {
                 if (mat.dissipates) {
-                    this.sim.setCell(x, y, MATERIAL.AIR);
+                    // Exhaust like smoke leaves air with its oxygen burnt
+                    this.sim.setCell(x, y, MATERIAL.AIR, mat.exhaust ? { life: OXYGEN } : undefined);
                     return true;
                 } else if (mat.condensesTo) {
                     this.sim.setCell(x, y, mat.condensesTo);
@@ -227,34 +519,45 @@ export class PhysicsEngine {
             }
         }
         
+        // Weightless gas just drifts
+        if (!this.gravityActs()) {
+            return this.tryDrift(x, y, 0.2);
+        }
+        
         // Rise up
-        const above = this.sim.getCell(x, y - 1);
-        if (above.id === MATERIAL.AIR) {
-            if (Math.random() < 0.8) {
-                this.sim.swap(x, y, x, y - 1);
+        const upX = x + this.relX(4);
+        const upY = y + this.relY(4);
+        if (this.sim.getCell(upX, upY) === MATERIAL.AIR) {
+            if (this.rng.next() < 0.8) {
+                this.sim.swap(x, y, upX, upY);
                 return true;
             }
         }
         
         // Rise diagonally
-        const dir = Math.random() < 0.5 ? 1 : -1;
-        const diagUp1 = this.sim.getCell(x + dir, y - 1);
-        const diagUp2 = this.sim.getCell(x - dir, y - 1);
-        
-        if (diagUp1.id === MATERIAL.AIR && Math.random() < 0.5) {
-            this.sim.swap(x, y, x + dir, y - 1);
+        const dir = this.rng.next() < 0.5 ? 1 : -1;
+        const diagUp1X = x + this.relX(3 * dir);
+        const diagUp1Y = y + this.relY(3 * dir);
+        const diagUp2X = x + this.relX(-3 * dir);
+        const diagUp2Y = y + this.relY(-3 * dir);
+        const diagUp1 = this.sim.getCell(diagUp1X, diagUp1Y);
+        const diagUp2 = this.sim.getCell(diagUp2X, diagUp2Y);
+        
+        if (diagUp1 === MATERIAL.AIR && this.rng.next() < 0.5) {
+            this.sim.swap(x, y, diagUp1X, diagUp1Y);
             return true;
         }
-        if (diagUp2.id === MATERIAL.AIR && Math.random() < 0.5) {
-            this.sim.swap(x, y, x - dir, y - 1);
+        if (diagUp2 === MATERIAL.AIR && this.rng.next() < 0.5) {
+            this.sim.swap(x, y, diagUp2X, diagUp2Y);
             return true;
         }
         
         // Spread sideways slowly
-        if (Math.random() < 0.2) {
-            const side = this.sim.getCell(x + dir, y);
-            if (side.id === MATERIAL.AIR) {
-                this.sim.swap(x, y, x + dir, y);
+        if (this.rng.next() < 0.2) {
+            const sideX = x + this.relX(2 * dir);
+            const sideY = y + this.relY(2 * dir);
+            if (this.sim.getCell(sideX, sideY) === MATERIAL.AIR) {
+                this.sim.swap(x, y, sideX, sideY);
                 return true;
             }
         }
@@ -262,14 +565,36 @@ export class PhysicsEngine {
         return false;
     }
 
+    /**
+     * Wander into a random neighboring air cell - how gases and flames
+     * move without gravity to give them an "up"
+     */
+    tryDrift(x, y, chance) {
+        if (this.rng.next() >= chance) return false;
+        
+        const dir = Math.floor(this.rng.next() * 8);
+        const nx = x + RING_X[dir];
+        const ny = y + RING_Y[dir];
+        if (this.sim.getCell(nx, ny) !== MATERIAL.AIR) return false;
+        
+        this.sim.swap(x, y, nx, ny);
+        return true;
+    }
+
     /**
      * Energy physics (fire, electricity, explosion)
      */
-    updateEnergy(x, y, cell, mat) {
+    updateEnergy(x, y, idx, mat) {
+        // Explosives go off once, on their first update
+        if (mat.blastRadius && this.sim.life[idx] === mat.lifetime) {
+            this.sim.blasts.detonate(x, y, mat);
+        }
+        
         // Reduce lifetime
-        cell.life = (cell.life || mat.lifetime) - 1;
+        const life = (this.sim.life[idx] || mat.lifetime) - 1;
+        this.sim.life[idx] = life;
         
-        if (cell.life <= 0) {
+        if (life <= 0) {
             if (mat.produces) {
                 this.sim.setCell(x, y, mat.produces);
             } else {
@@ -278,79 +603,26 @@ export class PhysicsEngine {
             return true;
         }
         
-        // Fire flickers upward
-        if (cell.id === MATERIAL.FIRE) {
-            if (Math.random() < 0.4) {
-                const above = this.sim.getCell(x, y - 1);
-                if (above.id === MATERIAL.AIR) {
-                    this.sim.swap(x, y, x, y - 1);
-                    return true;
-                }
+        // Fire flickers upward (hot air rises against gravity)
+        if (mat.id === MATERIAL.FIRE) {
+            if (this.strength === 0) {
+                return this.tryDrift(x, y, 0.3);
             }
-            // Random horizontal flicker
-            if (Math.random() < 0.15) {
-                const dir = Math.random() < 0.5 ? 1 : -1;
-                const side = this.sim.getCell(x + dir, y);
-                if (side.id === MATERIAL.AIR) {
-                    this.sim.swap(x, y, x + dir, y);
+            if (this.rng.next() < 0.4) {
+                const upX = x + this.relX(4);
+                const upY = y + this.relY(4);
+                if (this.sim.getCell(upX, upY) === MATERIAL.AIR) {
+                    this.sim.swap(x, y, upX, upY);
                     return true;
                 }
             }
-        }
-        
-        // Explosion force
-        if (cell.id === MATERIAL.EXPLOSION) {
-            const force = mat.force || 5;
-            for (let dy = -1; dy <= 1; dy++) {
-                for (let dx = -1; dx <= 1; dx++) {
-                    if (dx === 0 && dy === 0) continue;
-                    const nx = x + dx;
-                    const ny = y + dy;
-                    const neighbor = this.sim.getCell(nx, ny);
-                    const neighborMat = getMaterial(neighbor.id);
-                    
-                    if (!neighborMat.immovable && neighbor.id !== MATERIAL.EXPLOSION && neighbor.id !== MATERIAL.AIR) {
-                        // Push material outward
-                        const pushX = x + dx * 2;
-                        const pushY = y + dy * 2;
-                        if (this.sim.inBounds(pushX, pushY)) {
-                            const target = this.sim.getCell(pushX, pushY);
-                            if (target.id === MATERIAL.AIR) {
-                                this.sim.swap(nx, ny, pushX, pushY);
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        
-        return false;
-    }
-
-    /**
-     * Solid physics (ice, wood - movable solids)
-     */
-    updateSolid(x, y, cell, mat) {
-        if (mat.immovable) return false;
-        
-        const below = this.sim.getCell(x, y + 1);
-        const belowMat = getMaterial(below.id);
-        
-        // Fall into air
-        if (below.id === MATERIAL.AIR) {
-            this.sim.swap(x, y, x, y + 1);
-            return true;
-        }
-        
-        // Float on very dense liquids
-        if (belowMat.state === STATE.LIQUID) {
-            if (mat.density < belowMat.density) {
-                // Stay floating, don't move
-                return false;
-            } else {
-                // Sink slowly
-                if (Math.random() < 0.15) {
-                    this.sim.swap(x, y, x, y + 1);
+            // Random horizontal flicker
+            if (this.rng.next() < 0.15) {
+                const dir = this.rng.next() < 0.5 ? 1 : -1;
+                const sideX = x + this.relX(2 * dir);
+                const sideY = y + this.relY(2 * dir);
+                if (this.sim.getCell(sideX, sideY) === MATERIAL.AIR) {
+                    this.sim.swap(x, y, sideX, sideY);
                     return true;
                 }
             }
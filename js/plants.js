@@ -0,0 +1,388 @@
+/**
+ * Plant Engine for Earth Physics Sandbox
+ * Living plant parts keep the water they hold in the cell's life field:
+ * roots draw it from wet cells around them, it seeps from part to part, and
+ * every part slowly uses it up. Stems climb and branch into leaves while
+ * they have water to spare, and a part left dry wilts
+ */
+
+import { MATERIAL, MATERIALS, STATE, getMaterial } from './materials.js';
+import { NEIGHBOR_DX, NEIGHBOR_DY } from './reactions.js';
+
+// Water a root gets from a cell of water, and at most from a sip of the
+// moisture in wet soil or mud
+const WATER_PER_CELL = 100;
+const SIP = 40;
+
+// Water a part is left with once it has run dry. A life of 0 means the
+// cell was just placed, and it starts out holding all it can
+const DRY = 1;
+
+// Water a part needs to grow; the new cell takes half of it
+const GROW_WATER = 40;
+
+// Water a sprouting seed gives its first stem and root cells
+const SPROUT_WATER = 60;
+
+// Tallest a stem climbs before it flowers, and deepest a root reaches
+const MAX_STEM = 16;
+const MAX_ROOT = 8;
+
+// Chances per check
+const THIRST_CHANCE = 0.2;      // a part uses up one unit of water
+const DRINK_CHANCE = 0.3;       // a root with room drinks from a wet neighbor
+const WILT_CHANCE = 0.05;       // a dry part dies
+const CLIMB_CHANCE = 0.04;      // a stem tip grows upward
+const LEAF_CHANCE = 0.02;       // a stem without a leaf sprouts one
+const SEED_CHANCE = 0.01;       // a full-grown stem tip drops a seed
+const ROOT_CHANCE = 0.02;       // a root grows deeper
+const GERMINATE_CHANCE = 0.02;  // a seed on moist soil sprouts
+const SPREAD_CHANCE = 0.002;    // grass creeps onto neighboring soil
+const BURY_CHANCE = 0.02;       // buried grass dies back
+const DECAY_CHANCE = 0.002;     // dead plant matter rots away
+
+// Directions as turns from gravity's down (see PhysicsEngine.relX): 0 is
+// down, +-1 the downward diagonals, +-2 sideways, +-3 the upward diagonals
+const DOWN = 0;
+const UP = 4;
+
+// Directions a stem branches and a root digs, and grass spreads
+const BRANCH_TURNS = [-3, 3, -2, 2];
+const ROOT_TURNS = [DOWN, -1, 1];
+const SPREAD_TURNS = [-2, 2, DOWN];
+
+// Neighbor index of each offset, by (dy + 1) * 3 + dx + 1
+const NEIGHBOR_AT = new Int8Array(9).fill(-1);
+for (let i = 0; i < 8; i++) {
+    NEIGHBOR_AT[(NEIGHBOR_DY[i] + 1) * 3 + NEIGHBOR_DX[i] + 1] = i;
+}
+
+// Per-material plant roles
+const GERMINATES = 1;
+const ROOTS = 2;
+const STEM = 4;
+const THIRSTY = 8;
+const GRASS = 16;
+const FERTILE = 32;
+const SUPPORTS_GRASS = 64;
+
+export class PlantEngine {
+    constructor(simulation) {
+        this.sim = simulation;
+        this.rng = simulation.rng;
+        
+        // Lookup tables by material id
+        this.role = new Uint8Array(65536);
+        this.capacity = new Int16Array(65536);
+        this.diesTo = new Int32Array(65536);
+        this.decaysTo = new Int32Array(65536);
+        this.buildTables();
+    }
+
+    /**
+     * Cache each material's part in the plant life cycle
+     */
+    buildTables() {
+        this.role.fill(0);
+        this.capacity.fill(0);
+        this.diesTo.fill(-1);
+        this.decaysTo.fill(-1);
+        for (const key in MATERIALS) {
+            const mat = MATERIALS[key];
+            const id = mat.id;
+            if (mat.germinates) this.role[id] |= GERMINATES;
+            if (mat.roots) this.role[id] |= ROOTS;
+            if (mat.spreads) this.role[id] |= STEM;
+            if (mat.needsWater) this.role[id] |= THIRSTY;
+            if (mat.grows) this.role[id] |= GRASS;
+            if (mat.fertile) this.role[id] |= FERTILE;
+            if (mat.supportGrass) this.role[id] |= SUPPORTS_GRASS;
+            this.capacity[id] = mat.holdsWater || 0;
+            if (mat.diesTo !== undefined) this.diesTo[id] = mat.diesTo;
+            if (mat.decaysTo !== undefined) this.decaysTo[id] = mat.decaysTo;
+        }
+    }
+
+    /**
+     * Run one life cycle check for a cell
+     * Returns true if the cell or one next to it changed material
+     */
+    update(x, y, id, neighbors) {
+        const role = this.role[id];
+        
+        if (this.decaysTo[id] >= 0) {
+            if (this.rng.next() >= DECAY_CHANCE) return false;
+            this.sim.setCell(x, y, this.decaysTo[id]);
+            return true;
+        }
+        if (role & GERMINATES) return this.germinate(x, y, neighbors);
+        if (role & GRASS) return this.updateGrass(x, y, id, neighbors);
+        if (role & THIRSTY) return this.updatePart(x, y, id, neighbors);
+        return false;
+    }
+
+    /**
+     * Neighbor index of the direction `turn` eighths from down, so stems
+     * grow against gravity and roots along it
+     */
+    dir(turn) {
+        const physics = this.sim.physics;
+        return NEIGHBOR_AT[(physics.relY(turn) + 1) * 3 + physics.relX(turn) + 1];
+    }
+
+    /**
+     * Water held by a living part
+     */
+    water(idx, id) {
+        return this.sim.life[idx] || this.capacity[id];
+    }
+
+    /**
+     * A seed resting on fertile soil with water nearby sprouts a stem, and
+     * the soil under it becomes its first root
+     * A waiting seed keeps its chunk awake so it does not wait on a refresh
+     */
+    germinate(x, y, neighbors) {
+        const below = this.dir(DOWN);
+        const bx = x + NEIGHBOR_DX[below];
+        const by = y + NEIGHBOR_DY[below];
+        if (!(this.role[neighbors[below]] & FERTILE) || !this.moist(bx, by)) return false;
+        if (this.rng.next() >= GERMINATE_CHANCE) {
+            this.sim.wakeIndex(this.sim.index(x, y));
+            return false;
+        }
+        
+        this.sim.setCell(x, y, MATERIAL.PLANT, { life: SPROUT_WATER });
+        this.sim.setCell(bx, by, MATERIAL.ROOT, { life: SPROUT_WATER });
+        return true;
+    }
+
+    /**
+     * Whether a soil cell is damp, or has water beside it
+     */
+    moist(x, y) {
+        const idx = this.sim.index(x, y);
+        if (idx >= 0 && this.sim.soil.isDamp(idx, this.sim.ids[idx])) return true;
+        for (let i = 0; i < 8; i++) {
+            if (this.sim.getCell(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i]) === MATERIAL.WATER) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Grass dies back under anything that smothers it, and otherwise
+     * creeps onto open soil beside or below it
+     */
+    updateGrass(x, y, id, neighbors) {
+        const up = this.dir(UP);
+        const above = getMaterial(neighbors[up]);
+        if ((above.state === STATE.SOLID || above.state === STATE.POWDER) &&
+            !(this.role[above.id] & (GRASS | THIRSTY))) {
+            if (this.diesTo[id] < 0) return false;
+            if (this.rng.next() >= BURY_CHANCE) {
+                this.sim.wakeIndex(this.sim.index(x, y));
+                return false;
+            }
+            this.sim.setCell(x, y, this.diesTo[id]);
+            return true;
+        }
+        
+        if (this.rng.next() >= SPREAD_CHANCE) return false;
+        for (const turn of SPREAD_TURNS) {
+            const i = this.dir(turn);
+            const nx = x + NEIGHBOR_DX[i];
+            const ny = y + NEIGHBOR_DY[i];
+            if ((this.role[this.sim.getCell(nx, ny)] & SUPPORTS_GRASS) &&
+                this.sim.getCell(nx + NEIGHBOR_DX[up], ny + NEIGHBOR_DY[up]) === MATERIAL.AIR) {
+                this.sim.setCell(nx + NEIGHBOR_DX[up], ny + NEIGHBOR_DY[up], id);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Drink, use up and share water, wilt when dry, and grow with what is
+     * left over
+     */
+    updatePart(x, y, id, neighbors) {
+        const sim = this.sim;
+        const idx = sim.index(x, y);
+        const role = this.role[id];
+        let water = this.water(idx, id);
+        
+        if (role & ROOTS) water = this.drink(x, y, id, water, neighbors);
+        if (this.rng.next() < THIRST_CHANCE) water = Math.max(DRY, water - 1);
+        
+        if (water <= DRY) {
+            sim.life[idx] = DRY;
+            if (this.diesTo[id] < 0 || this.rng.next() >= WILT_CHANCE) return false;
+            sim.setCell(x, y, this.diesTo[id]);
+            return true;
+        }
+        
+        sim.life[idx] = water;
+        water = this.share(x, y, idx, water);
+        if (water < GROW_WATER) {
+            // A part running dry stays awake so it wilts in good time
+            sim.wakeIndex(idx);
+            return false;
+        }
+        
+        if (role & STEM) return this.growStem(x, y, id, idx, water, neighbors);
+        if (role & ROOTS) return this.growRoot(x, y, id, idx, water, neighbors);
+        return false;
+    }
+
+    /**
+     * Take in a neighboring cell of water, or sip from wet soil or mud
+     */
+    drink(x, y, id, water, neighbors) {
+        const room = this.capacity[id] - water;
+        if (room < SIP || this.rng.next() >= DRINK_CHANCE) return water;
+        
+        const soil = this.sim.soil;
+        const start = Math.floor(this.rng.next() * 8);
+        for (let k = 0; k < 8; k++) {
+            const i = (start + k) & 7;
+            const nx = x + NEIGHBOR_DX[i];
+            const ny = y + NEIGHBOR_DY[i];
+            if (neighbors[i] === MATERIAL.WATER) {
+                this.sim.setCell(nx, ny, MATERIAL.AIR);
+                return water + Math.min(room, WATER_PER_CELL);
+            }
+            const n = this.sim.index(nx, ny);
+            if (n >= 0 && soil.moisture(n, neighbors[i]) > 0) {
+                this.sim.wakeIndex(n);
+                return water + soil.take(n, neighbors[i], SIP);
+            }
+        }
+        return water;
+    }
+
+    /**
+     * Even out water with the driest neighboring part of the plant
+     * Returns the water this cell is left with
+     */
+    share(x, y, idx, water) {
+        const sim = this.sim;
+        let n = -1;
+        let nWater = water;
+        for (let i = 0; i < 8; i++) {
+            const j = sim.index(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i]);
+            // A part on fire keeps its burn time in place of water
+            if (j < 0 || !(this.role[sim.ids[j]] & THIRSTY) || sim.combustion.isBurning(j)) continue;
+            const w = this.water(j, sim.ids[j]);
+            if (w < nWater) {
+                n = j;
+                nWater = w;
+            }
+        }
+        if (n < 0) return water;
+        
+        const nId = sim.ids[n];
+        const flow = Math.min((water - nWater) >> 1, this.capacity[nId] - nWater);
+        if (flow <= 0) return water;
+        
+        sim.life[n] = nWater + flow;
+        sim.life[idx] = water - flow;
+        return water - flow;
+    }
+
+    /**
+     * Climb from the tip, flower once full grown, and branch into leaves
+     * lower down
+     */
+    growStem(x, y, id, idx, water, neighbors) {
+        const rng = this.rng;
+        const up = this.dir(UP);
+        
+        if (neighbors[up] === MATERIAL.AIR) {
+            if (this.reach(x, y, id, DOWN, MAX_STEM) < MAX_STEM) {
+                if (rng.next() >= CLIMB_CHANCE) return false;
+                this.grow(x + NEIGHBOR_DX[up], y + NEIGHBOR_DY[up], id, idx, water);
+                return true;
+            }
+            if (rng.next() >= SEED_CHANCE) return false;
+            return this.sprout(x, y, MATERIAL.SEED, idx, water, neighbors);
+        }
+        
+        if (rng.next() >= LEAF_CHANCE) return false;
+        for (let i = 0; i < 8; i++) {
+            if (neighbors[i] === MATERIAL.LEAF) return false;
+        }
+        return this.sprout(x, y, MATERIAL.LEAF, idx, water, neighbors);
+    }
+
+    /**
+     * Grow into the first open cell beside a stem, upper side first
+     */
+    sprout(x, y, newId, idx, water, neighbors) {
+        const flip = this.rng.next() < 0.5 ? 1 : 0;
+        for (let k = 0; k < BRANCH_TURNS.length; k++) {
+            const i = this.dir(BRANCH_TURNS[k ^ flip]);
+            if (neighbors[i] !== MATERIAL.AIR) continue;
+            this.grow(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i], newId, idx, water);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Push a root tip down (along gravity) into the fertile soil below it
+     * Only a tip - a root touching at most one other - grows, so roots
+     * fork into strands rather than filling the soil
+     */
+    growRoot(x, y, id, idx, water, neighbors) {
+        if (this.rng.next() >= ROOT_CHANCE) return false;
+        let touching = 0;
+        for (let i = 0; i < 8; i++) {
+            if (neighbors[i] === id) touching++;
+        }
+        if (touching > 1 || this.reach(x, y, id, UP, MAX_ROOT) >= MAX_ROOT) return false;
+        
+        const start = Math.floor(this.rng.next() * ROOT_TURNS.length);
+        for (let k = 0; k < ROOT_TURNS.length; k++) {
+            const i = this.dir(ROOT_TURNS[(start + k) % ROOT_TURNS.length]);
+            if (!(this.role[neighbors[i]] & FERTILE)) continue;
+            this.grow(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i], id, idx, water);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Place a new plant cell that takes half the parent's water
+     */
+    grow(x, y, newId, idx, water) {
+        const given = water >> 1;
+        this.sim.life[idx] = water - given;
+        this.sim.setCell(x, y, newId, { life: this.role[newId] & THIRSTY ? given : 0 });
+    }
+
+    /**
+     * Length of the run of cells of one material from a cell, following it
+     * straight or diagonally toward a direction (a turn from down), up to max
+     */
+    reach(x, y, id, turn, max) {
+        const sim = this.sim;
+        const ahead = this.dir(turn);
+        const ahead1 = this.dir(turn - 1);
+        const ahead2 = this.dir(turn + 1);
+        let length = 1;
+        while (length < max) {
+            let i = ahead;
+            if (sim.getCell(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i]) !== id) {
+                i = ahead1;
+                if (sim.getCell(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i]) !== id) {
+                    i = ahead2;
+                    if (sim.getCell(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i]) !== id) break;
+                }
+            }
+            x += NEIGHBOR_DX[i];
+            y += NEIGHBOR_DY[i];
+            length++;
+        }
+        return length;
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Pressure Engine for Earth Physics Sandbox
+ * Estimates the pressure inside every liquid cell from the depth of the
+ * liquid above it plus whatever a taller connected column pushes through
+ */
+
+import { MATERIAL, MATERIALS, STATE } from './materials.js';
+import { CHUNK_SHIFT, CHUNK_SIZE } from './simulation.js';
+
+// Pressure is measured in cells of water - one water cell weighs 1
+const WATER_DENSITY = MATERIALS[MATERIAL.WATER].density;
+
+// Pressure lost per cell it is carried through a body of liquid, so a
+// disturbance fades out across a wide pool instead of lifting every surface
+const PRESSURE_LOSS = 0.02;
+
+export class PressureEngine {
+    constructor(simulation) {
+        this.sim = simulation;
+        
+        // Weight of one cell per material id (zero for everything but liquids)
+        this.weight = new Float32Array(65536);
+        this.buildTables();
+        
+        // Per-row liquid extent and per-chunk "held liquid last step" flags,
+        // rebuilt each step so the later passes skip dry cells
+        this.rowMin = null;
+        this.rowMax = null;
+        this.wet = null;
+        this.scan = null;
+    }
+
+    /**
+     * Cache each liquid's weight relative to water
+     */
+    buildTables() {
+        this.weight.fill(0);
+        for (const key in MATERIALS) {
+            const mat = MATERIALS[key];
+            if (mat.state === STATE.LIQUID) {
+                this.weight[mat.id] = mat.density / WATER_DENSITY;
+            }
+        }
+    }
+
+    /**
+     * Weight of one cell of a material, in cells of water
+     */
+    weightOf(id) {
+        return this.weight[id];
+    }
+
+    /**
+     * Rebuild the pressure field for every chunk holding liquid
+     * Pressure belongs to a whole body of liquid, so sleeping chunks are
+     * included - a cell's value can change without anything near it moving
+     * 1. top-down: each cell carries the weight of the column above it
+     * 2. bottom-up: a connected taller column pushes up and sideways
+     * 3. top-down: and down into lower parts of the same body
+     */
+    step() {
+        const { width, height, chunksX, chunkAwake, ids, pressure } = this.sim;
+        const weight = this.weight;
+        
+        if (!this.rowMin || this.rowMin.length !== height || this.wet.length !== chunkAwake.length) {
+            this.rowMin = new Int32Array(height);
+            this.rowMax = new Int32Array(height);
+            this.wet = new Uint8Array(chunkAwake.length);
+            this.scan = new Uint8Array(chunksX);
+        }
+        const { rowMin, rowMax, wet, scan } = this;
+        
+        for (let y = 0; y < height; y++) {
+            const chunkRow = (y >> CHUNK_SHIFT) * chunksX;
+            
+            // A chunk that held no liquid and stayed asleep still holds none
+            if ((y & (CHUNK_SIZE - 1)) === 0) {
+                for (let cx = 0; cx < chunksX; cx++) {
+                    scan[cx] = chunkAwake[chunkRow + cx] | wet[chunkRow + cx];
+                    wet[chunkRow + cx] = 0;
+                }
+            }
+            
+            const rowStart = y * width;
+            let min = width;
+            let max = -1;
+            for (let cx = 0; cx < chunksX; cx++) {
+                if (!scan[cx]) continue;
+                const x1 = Math.min(width, (cx + 1) << CHUNK_SHIFT);
+                for (let x = cx << CHUNK_SHIFT; x < x1; x++) {
+                    const i = rowStart + x;
+                    const w = weight[ids[i]];
+                    if (w === 0) {
+                        pressure[i] = 0;
+                        continue;
+                    }
+                    pressure[i] = y > 0 && weight[ids[i - width]] ? pressure[i - width] + w : w;
+                    wet[chunkRow + cx] = 1;
+                    if (x < min) min = x;
+                    max = x;
+                }
+            }
+            rowMin[y] = min;
+            rowMax[y] = max;
+        }
+        
+        for (let y = height - 2; y >= 0; y--) {
+            const rowStart = y * width;
+            for (let i = rowStart + rowMin[y]; i <= rowStart + rowMax[y]; i++) {
+                const w = weight[ids[i]];
+                if (w && weight[ids[i + width]]) {
+                    pressure[i] = Math.max(pressure[i], pressure[i + width] - w - PRESSURE_LOSS);
+                }
+            }
+            this.spreadRow(y);
+        }
+        this.spreadRow(height - 1);
+        
+        for (let y = 1; y < height; y++) {
+            const rowStart = y * width;
+            for (let i = rowStart + rowMin[y]; i <= rowStart + rowMax[y]; i++) {
+                const w = weight[ids[i]];
+                if (w && weight[ids[i - width]]) {
+                    pressure[i] = Math.max(pressure[i], pressure[i - width] + w - PRESSURE_LOSS);
+                }
+            }
+            this.spreadRow(y);
+        }
+    }
+
+    /**
+     * Carry pressure sideways along connected liquid in a row, both directions
+     */
+    spreadRow(y) {
+        const { width, ids, pressure } = this.sim;
+        const weight = this.weight;
+        const first = y * width + this.rowMin[y];
+        const last = y * width + this.rowMax[y];
+        
+        for (let i = first + 1; i <= last; i++) {
+            if (weight[ids[i]] && weight[ids[i - 1]]) {
+                pressure[i] = Math.max(pressure[i], pressure[i - 1] - PRESSURE_LOSS);
+            }
+        }
+        for (let i = last - 1; i >= first; i--) {
+            if (weight[ids[i]] && weight[ids[i + 1]]) {
+                pressure[i] = Math.max(pressure[i], pressure[i + 1] - PRESSURE_LOSS);
+            }
+        }
+    }
+
+    /**
+     * Hydraulic head of a liquid cell - equal across a settled body of liquid,
+     * highest where the pushing column is
+     */
+    head(idx, y) {
+        const w = this.weight[this.sim.ids[idx]];
+        return w ? this.sim.pressure[idx] / w - y : -Infinity;
+    }
+}
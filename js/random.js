@@ -0,0 +1,45 @@
+/**
+ * Seeded Random Source for Earth Physics Sandbox
+ * Deterministic PRNG (mulberry32) so the same seed and inputs replay identically
+ */
+
+export class Random {
+    constructor(seed = randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+}
+
+/**
+ * Pick a fresh seed when none is supplied
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Unseeded source for callers outside the simulation (UI previews)
+export const defaultRandom = { next: Math.random, int: (max) => Math.floor(Math.random() * max) };
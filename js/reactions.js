@@ -0,0 +1,153 @@
+/**
+ * Reaction Table for Earth Physics Sandbox
+ * Reactions are plain data: a cell of one material, an optional neighbor of
+ * another, some conditions and a rate, and what each of the two becomes.
+ * The same rows load from JSON, with materials given by name or id
+ */
+
+import { getMaterial, resolveMaterial } from './materials.js';
+
+// Neighbor offsets: above, below, left, right, then the four diagonals
+export const NEIGHBOR_DX = [0, 0, -1, 1, -1, 1, -1, 1];
+export const NEIGHBOR_DY = [-1, 1, 0, 0, -1, -1, 1, 1];
+
+// Where a reaction looks for its neighbor, as indexes into the offsets
+const WHERE = {
+    any: [0, 1, 2, 3, 4, 5, 6, 7],
+    adjacent: [0, 1, 2, 3],
+    above: [0],
+    below: [1],
+    side: [2, 3]
+};
+
+// Rule keys a reaction may use
+const RULE_KEYS = new Set([
+    'material', 'neighbor', 'where', 'requires', 'minTemp', 'maxTemp',
+    'rate', 'becomes', 'neighborBecomes'
+]);
+
+/**
+ * Built-in reactions
+ * Each cell tries its material's rows in order and stops at the first one
+ * that fires; with a neighbor, every matching neighbor gets its own roll.
+ * A temperature condition may name one of the cell's own thresholds
+ */
+export const DEFAULT_REACTIONS = [
+    // Burning - fuel is left to the combustion engine, but gas past its
+    // burnTemp goes up all at once
+    { material: 'gas', minTemp: 'burnTemp', rate: 0.5, becomes: 'explosion' },
+
+    // Wilting - living plant parts scorched short of burning die off
+    { material: 'plant', minTemp: 'wiltTemp', rate: 0.05, becomes: 'dead plant' },
+    { material: 'root', minTemp: 'wiltTemp', rate: 0.05, becomes: 'dead plant' },
+    { material: 'leaf', minTemp: 'wiltTemp', rate: 0.05, becomes: 'dead plant' },
+
+    // Mixing - soaking soil into mud is left to the soil engine
+    { material: 'dirt', neighbor: 'air', where: 'above', requires: 'water', rate: 0.001, neighborBecomes: 'grass' },
+    // Lava quenched by water sets into basalt; left to cool it turns to stone
+    { material: 'lava', neighbor: 'water', rate: 0.3, becomes: 'basalt', neighborBecomes: 'steam' }
+];
+
+/**
+ * Read a reaction table from JSON text, a { reactions: [...] } object or a
+ * bare array of rows
+ */
+export function parseReactions(data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            throw new Error(`Reaction table is not valid JSON: ${e.message}`);
+        }
+    }
+    const rules = Array.isArray(data) ? data : data && data.reactions;
+    if (!Array.isArray(rules)) {
+        throw new Error('Reaction table needs a "reactions" array');
+    }
+    return rules;
+}
+
+/**
+ * Check and resolve a reaction table into per-material lists of rules
+ * Returns an array indexed by material id; materials without reactions
+ * have no entry
+ */
+export function compileReactions(rules) {
+    const table = [];
+    rules.forEach((rule, i) => {
+        let compiled;
+        try {
+            compiled = compileRule(rule);
+        } catch (e) {
+            throw new Error(`Reaction ${i + 1}: ${e.message}`);
+        }
+        if (!table[compiled.material]) table[compiled.material] = [];
+        table[compiled.material].push(compiled);
+    });
+    return table;
+}
+
+/**
+ * Resolve one row's names, thresholds and defaults
+ */
+function compileRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error('expected an object');
+    }
+    for (const key in rule) {
+        if (!RULE_KEYS.has(key)) {
+            throw new Error(`unknown key "${key}"`);
+        }
+    }
+
+    const material = resolveMaterial(rule.material);
+    const hasNeighbor = rule.neighbor !== undefined && rule.neighbor !== null;
+    const where = rule.where ?? 'any';
+    if (!WHERE[where]) {
+        throw new Error(`"where" must be one of ${Object.keys(WHERE).join(', ')}, got ${JSON.stringify(where)}`);
+    }
+    if (!hasNeighbor && (rule.where !== undefined || rule.neighborBecomes !== undefined)) {
+        throw new Error('"where" and "neighborBecomes" need a "neighbor"');
+    }
+    if (typeof rule.rate !== 'number' || !(rule.rate > 0 && rule.rate <= 1)) {
+        throw new Error(`"rate" must be a number in (0, 1], got ${JSON.stringify(rule.rate)}`);
+    }
+
+    const becomes = optionalMaterial(rule.becomes);
+    const neighborBecomes = optionalMaterial(rule.neighborBecomes);
+    if (becomes < 0 && neighborBecomes < 0) {
+        throw new Error('needs "becomes" or "neighborBecomes"');
+    }
+
+    return {
+        material,
+        neighbor: hasNeighbor ? resolveMaterial(rule.neighbor) : -1,
+        where: WHERE[where],
+        requires: optionalMaterial(rule.requires),
+        minTemp: threshold(material, rule.minTemp, -Infinity),
+        maxTemp: threshold(material, rule.maxTemp, Infinity),
+        rate: rule.rate,
+        becomes,
+        neighborBecomes
+    };
+}
+
+function optionalMaterial(ref) {
+    return ref === undefined || ref === null ? -1 : resolveMaterial(ref);
+}
+
+/**
+ * A temperature bound given as degrees or as the name of one of the
+ * material's own thresholds ("burnTemp")
+ * A material that is not flammable never reaches its burnTemp
+ */
+function threshold(material, value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    if (typeof value === 'number') return value;
+    const mat = getMaterial(material);
+    if (value === 'burnTemp' && !mat.flammable && typeof mat.burnTemp === 'number') return Infinity;
+    if (typeof value === 'string' && typeof mat[value] === 'number') {
+        return mat[value];
+    }
+    throw new Error(`${mat.name} has no temperature threshold ${JSON.stringify(value)}`);
+}
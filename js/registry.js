@@ -0,0 +1,497 @@
+/**
+ * Material Registry for Earth Physics Sandbox
+ * Adds materials at runtime from plain definition objects, so a JSON
+ * "material pack" can extend the palette without touching materials.js
+ */
+
+import { MATERIAL, MATERIALS, CATEGORIES, STATE, colorVariant, resolveMaterial } from './materials.js';
+
+// Ids below this are left for built-in materials
+export const FIRST_CUSTOM_ID = 100;
+
+// Largest id a cell can hold
+const MAX_ID = 65535;
+
+// Palette tab a material lands in when its definition names none
+const STATE_CATEGORY = {
+    [STATE.SOLID]: 'solids',
+    [STATE.POWDER]: 'solids',
+    [STATE.LIQUID]: 'liquids',
+    [STATE.GAS]: 'gases',
+    [STATE.ENERGY]: 'energy'
+};
+
+// Definition keys by kind of value
+const NUMBER_KEYS = [
+    'density', 'temperature', 'viscosity', 'conductivity', 'hardness', 'lifetime',
+    'resistance', 'voltage', 'force', 'blastRadius', 'holdsWater', 'fallRate',
+    'fuel', 'burnTime',
+    'meltTemp', 'freezeTemp', 'evaporateTemp', 'condenseTemp', 'burnTemp', 'wiltTemp'
+];
+const FLAG_KEYS = [
+    'flammable', 'immovable', 'conductive', 'emitsHeat', 'glows', 'ignites',
+    'dissipates', 'exhaust', 'explosive', 'circuit', 'ground', 'sensor', 'diode',
+    'grows', 'spreads', 'needsWater', 'supportGrass', 'sticky',
+    'germinates', 'roots', 'fertile'
+];
+const REFERENCE_KEYS = [
+    'meltsTo', 'freezesTo', 'evaporatesTo', 'condensesTo',
+    'blastsTo', 'burnsTo', 'produces', 'togglesTo',
+    'diesTo', 'decaysTo', 'bondsWith', 'gathersTo', 'rainsTo', 'snowsTo',
+    'saturatesTo', 'driesTo', 'compactsTo'
+];
+const OTHER_KEYS = ['id', 'name', 'state', 'color', 'category', 'icon'];
+
+// Phase changes need both the target material and the temperature
+const THRESHOLD_PAIRS = [
+    ['meltsTo', 'meltTemp'],
+    ['freezesTo', 'freezeTemp'],
+    ['evaporatesTo', 'evaporateTemp'],
+    ['condensesTo', 'condenseTemp']
+];
+
+const KNOWN_KEYS = new Set([...NUMBER_KEYS, ...FLAG_KEYS, ...REFERENCE_KEYS, ...OTHER_KEYS]);
+
+// SVG a material icon may use - plain shapes with geometry and paint, so a
+// shared pack cannot smuggle script or external content into the palette
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const ICON_ELEMENTS = new Set(['path', 'circle', 'rect', 'polygon', 'line', 'g']);
+const ICON_ATTRIBUTES = new Set([
+    'd', 'x', 'y', 'width', 'height', 'rx', 'ry', 'cx', 'cy', 'r',
+    'x1', 'y1', 'x2', 'y2', 'points', 'transform',
+    'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+    'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray', 'opacity'
+]);
+
+// Bounds on numeric properties that have them - [min, max, whole numbers only]
+const RANGES = {
+    viscosity: [1, Infinity, false],
+    conductivity: [0, 1, false],
+    hardness: [0, Infinity, false],
+    lifetime: [0, 32767, true],
+    resistance: [0, Infinity, false],
+    blastRadius: [0, 32, true],
+    holdsWater: [0, 32767, true],
+    fallRate: [0, 1, false],
+    fuel: [0, Infinity, false],
+    burnTime: [0, 32767, true]
+};
+
+// Properties that can be changed on a registered or built-in material
+export const EDITABLE_KEYS = [...NUMBER_KEYS, ...FLAG_KEYS, 'color'];
+
+// Values edited materials had before their first edit, by material id
+const originals = new Map();
+
+/**
+ * Register one material - see registerMaterials
+ */
+export function registerMaterial(def) {
+    return registerMaterials([def])[0];
+}
+
+/**
+ * Register a batch of materials from definition objects
+ * { name, state, density, color: [r, g, b] | { base: [r, g, b], variance },
+ *   id?, category?, icon?, temperature?, meltTemp?, meltsTo?, ... }
+ * Materials in a batch may refer to each other by name, in any order.
+ * Every definition is checked before any is added, so a bad batch changes
+ * nothing. Engines cache material properties - register through
+ * Simulation.registerMaterials so they are rebuilt
+ */
+export function registerMaterials(defs) {
+    if (!Array.isArray(defs)) {
+        throw new Error('Material definitions must be an array');
+    }
+
+    // Names, ids and keys claimed by earlier definitions in this batch
+    const pending = new Map();
+    const usedIds = new Set();
+    const usedKeys = new Set();
+    const entries = defs.map((def, i) => {
+        try {
+            const entry = checkDefinition(def, pending, usedIds, usedKeys);
+            pending.set(def.name.trim().toLowerCase(), entry.id);
+            usedIds.add(entry.id);
+            usedKeys.add(entry.key);
+            return entry;
+        } catch (e) {
+            throw new Error(`Material ${label(def, i)}: ${e.message}`);
+        }
+    });
+    
+    // References are checked once every name in the batch is known
+    entries.forEach(({ def }, i) => {
+        for (const name of REFERENCE_KEYS) {
+            if (def[name] === undefined) continue;
+            try {
+                lookup(def[name], pending);
+            } catch (e) {
+                throw new Error(`Material ${label(def, i)}: "${name}": ${e.message}`);
+            }
+        }
+    });
+
+    return entries.map(({ id, key, category, def }) => {
+        const mat = buildMaterial(id, def, pending);
+        MATERIAL[key] = id;
+        MATERIALS[id] = mat;
+        if (!CATEGORIES[category]) CATEGORIES[category] = [];
+        CATEGORIES[category].push(id);
+        return mat;
+    });
+}
+
+/**
+ * Remove materials registered earlier - for backing out a pack whose
+ * reactions turned out to be bad, before any cell could use them
+ */
+export function unregisterMaterials(materials) {
+    for (const mat of materials) {
+        if (!mat.custom || MATERIALS[mat.id] !== mat) continue;
+        delete MATERIALS[mat.id];
+        originals.delete(mat.id);
+        for (const key in MATERIAL) {
+            if (MATERIAL[key] === mat.id) delete MATERIAL[key];
+        }
+        for (const category in CATEGORIES) {
+            const ids = CATEGORIES[category];
+            if (ids.includes(mat.id)) ids.splice(ids.indexOf(mat.id), 1);
+            if (ids.length === 0) delete CATEGORIES[category];
+        }
+    }
+}
+
+/**
+ * Change properties of existing materials, built-in or registered
+ * { "Sand": { density: 120 }, "Water": { color: { base: [r, g, b], variance } } }
+ * Materials are given by name or id. Every change is checked before any is
+ * made. Returns the ids of the changed materials
+ */
+export function updateMaterials(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('Material overrides must be an object of { material: { property: value } }');
+    }
+    
+    const edits = Object.keys(overrides).map(ref => {
+        const id = resolveMaterial(/^\d+$/.test(ref) ? Number(ref) : ref);
+        const mat = MATERIALS[id];
+        const changes = overrides[ref];
+        try {
+            checkChanges(mat, changes);
+        } catch (e) {
+            throw new Error(`${mat.name}: ${e.message}`);
+        }
+        return { mat, changes };
+    });
+    
+    for (const { mat, changes } of edits) {
+        if (!originals.has(mat.id)) originals.set(mat.id, {});
+        const original = originals.get(mat.id);
+        for (const key in changes) {
+            if (!(key in original)) original[key] = mat[key];
+            mat[key] = key === 'color' ? makeColor(changes[key]) : changes[key];
+        }
+    }
+    return edits.map(({ mat }) => mat.id);
+}
+
+/**
+ * Put back every property of a material changed since registration
+ */
+export function revertMaterial(id) {
+    const mat = MATERIALS[id];
+    const original = originals.get(id);
+    if (!mat || !original) return;
+    for (const key in original) {
+        if (original[key] === undefined) {
+            delete mat[key];
+        } else {
+            mat[key] = original[key];
+        }
+    }
+    originals.delete(id);
+}
+
+/**
+ * Whether a material has been changed since registration
+ */
+export function isEdited(id) {
+    return originals.has(id);
+}
+
+/**
+ * The edits made so far as a material pack of overrides, ready to share
+ * and load back in
+ */
+export function exportMaterialPreset(name = 'Tuned materials') {
+    const overrides = {};
+    for (const [id, original] of originals) {
+        const mat = MATERIALS[id];
+        if (!mat) continue;
+        
+        const changes = {};
+        for (const key in original) {
+            const value = key === 'color' ? getColorSpec(mat) : mat[key];
+            const before = key === 'color' ? getColorSpec({ color: original[key] }) : original[key];
+            if (value !== undefined && JSON.stringify(value) !== JSON.stringify(before)) {
+                changes[key] = value;
+            }
+        }
+        if (Object.keys(changes).length > 0) overrides[mat.name] = changes;
+    }
+    return { name, overrides };
+}
+
+/**
+ * A material's color as { base, variance }, or null for animated colors
+ * (fire, lava) that have no single base
+ */
+export function getColorSpec(mat) {
+    if (Array.isArray(mat.color)) return { base: [...mat.color], variance: 0 };
+    if (mat.color && mat.color.base) return { base: [...mat.color.base], variance: mat.color.variance };
+    return null;
+}
+
+/**
+ * Read a material pack from JSON text or an object
+ * { name?, materials?: [definition, ...], reactions?: [row, ...],
+ *   overrides?: { material: { property: value } } }
+ */
+export function parseMaterialPack(data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            throw new Error(`Material pack is not valid JSON: ${e.message}`);
+        }
+    }
+    if (!data || typeof data !== 'object' || (data.materials === undefined && data.overrides === undefined)) {
+        throw new Error('Material pack needs a "materials" array or "overrides"');
+    }
+    if (data.materials !== undefined && !Array.isArray(data.materials)) {
+        throw new Error('Material pack "materials" must be an array');
+    }
+    if (data.overrides !== undefined && (!data.overrides || typeof data.overrides !== 'object' || Array.isArray(data.overrides))) {
+        throw new Error('Material pack "overrides" must be an object of { material: { property: value } }');
+    }
+    if (data.reactions !== undefined && !Array.isArray(data.reactions)) {
+        throw new Error('Material pack "reactions" must be an array');
+    }
+    return {
+        name: typeof data.name === 'string' ? data.name : 'Untitled pack',
+        materials: data.materials || [],
+        reactions: data.reactions || [],
+        overrides: data.overrides || {}
+    };
+}
+
+/**
+ * Validate a definition and settle its id, MATERIAL key and category
+ */
+function checkDefinition(def, pending, usedIds, usedKeys) {
+    if (!def || typeof def !== 'object' || Array.isArray(def)) {
+        throw new Error('expected an object');
+    }
+    for (const key in def) {
+        if (!KNOWN_KEYS.has(key)) {
+            throw new Error(`unknown property "${key}"`);
+        }
+    }
+
+    if (typeof def.name !== 'string' || !def.name.trim()) {
+        throw new Error('needs a "name"');
+    }
+    const key = def.name.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+    if (nameTaken(def.name.trim()) || MATERIAL[key] !== undefined || usedKeys.has(key)) {
+        throw new Error('a material with this name is already registered');
+    }
+
+    if (!Object.values(STATE).includes(def.state)) {
+        throw new Error(`"state" must be one of ${Object.values(STATE).join(', ')}, got ${JSON.stringify(def.state)}`);
+    }
+    if (def.density === undefined) {
+        throw new Error('needs a "density"');
+    }
+    for (const name of [...NUMBER_KEYS, ...FLAG_KEYS]) {
+        if (def[name] !== undefined) checkValue(name, def[name]);
+    }
+    for (const [target, temp] of THRESHOLD_PAIRS) {
+        if ((def[target] === undefined) !== (def[temp] === undefined)) {
+            throw new Error(`"${target}" and "${temp}" go together`);
+        }
+    }
+    checkColor(def.color);
+    if (def.icon !== undefined) checkIcon(def.icon);
+    if (def.category !== undefined && (typeof def.category !== 'string' || !/^[a-z][a-z0-9-]*$/.test(def.category))) {
+        throw new Error(`"category" must be a lowercase name, got ${JSON.stringify(def.category)}`);
+    }
+
+    return {
+        id: allocateId(def.id, usedIds),
+        key,
+        category: def.category ?? STATE_CATEGORY[def.state],
+        def
+    };
+}
+
+function label(def, i) {
+    return def && typeof def.name === 'string' ? `"${def.name}"` : `#${i + 1}`;
+}
+
+function nameTaken(name) {
+    const lowerName = name.toLowerCase();
+    return Object.values(MATERIALS).some(mat => mat.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Resolve a material reference, including materials earlier in the batch
+ */
+function lookup(ref, pending) {
+    if (typeof ref === 'string' && pending.has(ref.toLowerCase())) {
+        return pending.get(ref.toLowerCase());
+    }
+    return resolveMaterial(ref);
+}
+
+/**
+ * Check one numeric or true/false property value
+ */
+function checkValue(name, value) {
+    if (FLAG_KEYS.includes(name)) {
+        if (typeof value !== 'boolean') {
+            throw new Error(`"${name}" must be true or false, got ${JSON.stringify(value)}`);
+        }
+        return;
+    }
+    if (!Number.isFinite(value)) {
+        throw new Error(`"${name}" must be a number, got ${JSON.stringify(value)}`);
+    }
+    const range = RANGES[name];
+    if (range && (value < range[0] || value > range[1] || (range[2] && !Number.isInteger(value)))) {
+        const kind = range[2] ? 'a whole number' : 'a number';
+        const bounds = range[1] === Infinity ? `at least ${range[0]}` : `from ${range[0]} to ${range[1]}`;
+        throw new Error(`"${name}" must be ${kind} ${bounds}, got ${value}`);
+    }
+}
+
+/**
+ * Check a set of edits against the material they are for
+ */
+function checkChanges(mat, changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw new Error('changes must be an object of { property: value }');
+    }
+    for (const key in changes) {
+        if (!EDITABLE_KEYS.includes(key)) {
+            throw new Error(`"${key}" cannot be changed`);
+        }
+        if (key === 'color') {
+            checkColor(changes.color);
+        } else {
+            checkValue(key, changes[key]);
+        }
+    }
+    for (const [target, temp] of THRESHOLD_PAIRS) {
+        if (changes[temp] !== undefined && mat[target] === undefined) {
+            throw new Error(`"${temp}" does nothing without "${target}"`);
+        }
+    }
+}
+
+function checkColor(color) {
+    const rgb = Array.isArray(color) ? color : color && color.base;
+    if (!Array.isArray(rgb) || rgb.length !== 3 ||
+        !rgb.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+        throw new Error('"color" must be [r, g, b] or { "base": [r, g, b], "variance": n } with channels 0-255');
+    }
+    if (!Array.isArray(color) && color.variance !== undefined &&
+        !(Number.isInteger(color.variance) && color.variance >= 0)) {
+        throw new Error('"color" variance must be a whole number of at least 0');
+    }
+}
+
+/**
+ * Check an icon is SVG markup made only of the allowed shapes and attributes
+ * Without a DOM (the worker, Node) icons are never drawn, so only their type
+ * is checked there; the page checks them before the worker hears of them
+ */
+function checkIcon(icon) {
+    if (typeof icon !== 'string') {
+        throw new Error('"icon" must be SVG markup for a 24x24 view box');
+    }
+    if (typeof DOMParser === 'undefined') return;
+    
+    const doc = new DOMParser().parseFromString(`<svg xmlns="${SVG_NS}">${icon}</svg>`, 'image/svg+xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('"icon" is not well-formed SVG markup');
+    }
+    for (const el of doc.documentElement.querySelectorAll('*')) {
+        if (el.namespaceURI !== SVG_NS || !ICON_ELEMENTS.has(el.localName)) {
+            throw new Error(`"icon" may only use ${[...ICON_ELEMENTS].join(', ')}, got <${el.nodeName}>`);
+        }
+        for (const attr of el.attributes) {
+            if (attr.namespaceURI !== null || !ICON_ATTRIBUTES.has(attr.name)) {
+                throw new Error(`"icon" may not use the attribute "${attr.name}"`);
+            }
+            if (/url\s*\(/i.test(attr.value)) {
+                throw new Error(`"icon" may not refer to other content, got ${attr.name}="${attr.value}"`);
+            }
+        }
+    }
+}
+
+/**
+ * Use the requested id if it is free, otherwise the lowest free custom id
+ */
+function allocateId(requested, usedIds) {
+    if (requested !== undefined) {
+        if (!Number.isInteger(requested) || requested < 1 || requested > MAX_ID) {
+            throw new Error(`"id" must be a whole number from 1 to ${MAX_ID}, got ${JSON.stringify(requested)}`);
+        }
+        if (MATERIALS[requested] || usedIds.has(requested)) {
+            throw new Error(`id ${requested} is already in use`);
+        }
+        return requested;
+    }
+    for (let id = FIRST_CUSTOM_ID; id <= MAX_ID; id++) {
+        if (!MATERIALS[id] && !usedIds.has(id)) return id;
+    }
+    throw new Error('no free material ids left');
+}
+
+/**
+ * Build a color from [r, g, b] or { base, variance } - variance defaults to
+ * 10 like the built-in materials, and 0 gives a flat color
+ */
+function makeColor(spec) {
+    if (Array.isArray(spec)) return [...spec];
+    const variance = spec.variance ?? 10;
+    return variance > 0 ? colorVariant([...spec.base], variance) : [...spec.base];
+}
+
+/**
+ * Turn a checked definition into a material entry like the built-in ones
+ */
+function buildMaterial(id, def, pending) {
+    const mat = {
+        id,
+        name: def.name.trim(),
+        color: makeColor(def.color),
+        density: def.density,
+        state: def.state,
+        flammable: false,
+        temperature: 20,
+        conductivity: 0.3,
+        hardness: 1,
+        custom: true
+    };
+    for (const key of [...NUMBER_KEYS, ...FLAG_KEYS]) {
+        if (def[key] !== undefined) mat[key] = def[key];
+    }
+    for (const key of REFERENCE_KEYS) {
+        if (def[key] !== undefined) mat[key] = lookup(def[key], pending);
+    }
+    if (def.icon !== undefined) mat.icon = def.icon;
+    return mat;
+}
@@ -0,0 +1,396 @@
+/**
+ * Remote Simulation for Earth Physics Sandbox
+ * Main-thread stand-in for a Simulation running in js/worker.js
+ */
+
+import { CHUNK_SIZE, DEFAULT_BOUNDARY, DEFAULT_GRAVITY, validateGravity, validateWorldSize, withBoundary } from './simulation.js';
+import { randomSeed } from './random.js';
+import { DEFAULT_WEATHER, daylight, validateWeather } from './weather.js';
+import { DEFAULT_STATS_INTERVAL, StatsHistory, validateStatsInterval } from './stats.js';
+import { DEFAULT_REACTIONS, compileReactions, parseReactions } from './reactions.js';
+import { parseMaterialPack, registerMaterials, revertMaterial, unregisterMaterials, updateMaterials } from './registry.js';
+
+export class RemoteSimulation {
+    constructor(width, height, seed = randomSeed()) {
+        this.seed = seed;
+        this.isRemote = true;
+        
+        // Latest state received from the worker
+        this.allocate(width, height);
+        
+        // Mirrored simulation state
+        this.paused = true;
+        this.speed = 1;
+        this.frameCount = 0;
+        this.particleCount = 0;
+        this.boundary = DEFAULT_BOUNDARY;
+        this.gravity = DEFAULT_GRAVITY;
+        this.weather = DEFAULT_WEATHER;
+        this.statsInterval = DEFAULT_STATS_INTERVAL;
+        this.reactions = DEFAULT_REACTIONS;
+        
+        // Statistics samples streamed from the worker
+        this.stats = new StatsHistory();
+        
+        // Called if the worker fails so the app can fall back to in-thread mode
+        this.onerror = null;
+        
+        // Called with an Error when a command sent without a reply fails
+        this.oncommanderror = null;
+        
+        // Outstanding request promises by id
+        this.pending = new Map();
+        this.nextRequestId = 1;
+        
+        this.worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            this.rejectPending(new Error('Simulation worker failed'));
+            if (this.onerror) this.onerror(e);
+        };
+        this.post({ type: 'init', width, height, seed });
+    }
+
+    /**
+     * Size the mirrored buffers for a world size
+     */
+    allocate(width, height) {
+        this.width = width;
+        this.height = height;
+        this.size = width * height;
+        this.colorCache = new Uint8ClampedArray(this.size * 4);
+        this.frameBuffer = null;
+        this.temperature = new Float32Array(this.size);
+        this.pressure = new Float32Array(this.size);
+        this.charge = new Uint8Array(this.size);
+        this.chunksX = Math.ceil(width / CHUNK_SIZE);
+        this.chunksY = Math.ceil(height / CHUNK_SIZE);
+        this.chunkAwake = new Uint8Array(this.chunksX * this.chunksY);
+    }
+
+    /**
+     * Send a command to the worker
+     */
+    post(message, transfer = []) {
+        this.worker.postMessage(message, transfer);
+    }
+
+    /**
+     * Send a command and resolve with the worker's reply
+     */
+    request(message, transfer = []) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.post({ ...message, id }, transfer);
+        });
+    }
+
+    /**
+     * Handle a message from the worker
+     */
+    handleMessage(msg) {
+        if (msg.type === 'reply') {
+            const request = this.pending.get(msg.id);
+            if (!request) return;
+            this.pending.delete(msg.id);
+            if (msg.error) {
+                request.reject(new Error(msg.error));
+            } else {
+                request.resolve(msg.result);
+            }
+            return;
+        }
+        if (msg.type === 'error') {
+            const error = new Error(`Simulation command "${msg.command}" failed: ${msg.error}`);
+            if (this.oncommanderror) this.oncommanderror(error);
+            else console.error(error);
+            return;
+        }
+        if (msg.type !== 'frame') return;
+        
+        // Frames rendered before a resize no longer fit the canvas
+        if (msg.buffer.byteLength !== this.size * 4) return;
+        
+        // Hand the previous frame's buffer back for reuse
+        if (this.frameBuffer) {
+            this.post({ type: 'recycle', buffer: this.frameBuffer }, [this.frameBuffer]);
+        }
+        this.frameBuffer = msg.buffer;
+        this.colorCache = new Uint8ClampedArray(msg.buffer);
+        
+        for (const name in msg.fields) {
+            this[name] = msg.fields[name];
+        }
+        for (const sample of msg.samples) {
+            this.stats.push(sample);
+        }
+        this.particleCount = msg.particleCount;
+        this.frameCount = msg.frameCount;
+    }
+
+    /**
+     * Choose which extra grid fields (e.g. temperature) ride along with frames
+     */
+    setFields(names) {
+        this.post({ type: 'fields', names });
+    }
+
+    /**
+     * Stop the worker
+     */
+    terminate() {
+        this.worker.terminate();
+        this.rejectPending(new Error('Simulation worker stopped'));
+    }
+
+    /**
+     * Fail every request still waiting on a reply, so nothing awaits a dead
+     * worker forever
+     */
+    rejectPending(error) {
+        for (const request of this.pending.values()) {
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Get the color buffer for rendering
+     */
+    getColorBuffer() {
+        return this.colorCache;
+    }
+
+    /**
+     * Draw material with a brush
+     */
+    drawBrush(x, y, materialId, radius, shape = 'circle') {
+        this.post({ type: 'brush', x, y, materialId, radius, shape });
+    }
+
+    /**
+     * Draw a line of material
+     */
+    drawLine(x0, y0, x1, y1, materialId, radius) {
+        this.post({ type: 'line', x0, y0, x1, y1, materialId, radius });
+    }
+
+    /**
+     * Fill a rectangle with material
+     */
+    drawRect(x0, y0, x1, y1, materialId) {
+        this.post({ type: 'rect', x0, y0, x1, y1, materialId });
+    }
+
+    /**
+     * Blast everything within a radius outward
+     */
+    applyImpulse(x, y, radius, strength) {
+        this.post({ type: 'impulse', x, y, radius, strength });
+    }
+
+    /**
+     * Flip every switch within a radius
+     */
+    toggleSwitches(x, y, radius) {
+        this.post({ type: 'toggle', x, y, radius });
+    }
+
+    /**
+     * Start collecting drawn-over cells into one undo entry
+     */
+    beginRecording() {
+        this.post({ type: 'beginRecording' });
+    }
+
+    /**
+     * Finish the undo entry - resolves with the patch (or null)
+     */
+    endRecording() {
+        return this.request({ type: 'endRecording' });
+    }
+
+    /**
+     * Write one side ('before' or 'after') of a patch back
+     */
+    applyPatch(patch, side) {
+        this.post({ type: 'applyPatch', patch, side });
+    }
+
+    /**
+     * Serialize the world - resolves with an ArrayBuffer ('binary') or string ('json')
+     */
+    serialize(format = 'binary') {
+        return this.request({ type: 'serialize', format });
+    }
+
+    /**
+     * Load a saved world - rejects with the validation error if it is invalid
+     */
+    load(data) {
+        return this.request({ type: 'load', data });
+    }
+
+    /**
+     * Change the world size - see Simulation.resize for the modes
+     */
+    resize(width, height, mode = 'clear') {
+        validateWorldSize(width, height);
+        this.allocate(width, height);
+        this.post({ type: 'resize', width, height, mode });
+    }
+
+    /**
+     * Set the boundary mode ('wall', 'void' or 'wrap') of one edge
+     */
+    setBoundary(edge, mode) {
+        this.boundary = withBoundary(this.boundary, edge, mode);
+        this.post({ type: 'boundary', edge, mode });
+    }
+
+    /**
+     * Point gravity at an angle (degrees clockwise from down) with a strength
+     */
+    setGravity(angle, strength) {
+        this.gravity = validateGravity(angle, strength);
+        this.post({ type: 'gravity', ...this.gravity });
+    }
+
+    /**
+     * Set the ambient air temperature and turn the day/night cycle on or off
+     */
+    setWeather(ambient, dayNight) {
+        this.weather = validateWeather(ambient, dayNight);
+        this.post({ type: 'weather', ...this.weather });
+    }
+
+    /**
+     * Light level from 0 (night) to 1 (day) as of the latest frame
+     */
+    daylight() {
+        return daylight(this.frameCount, this.weather);
+    }
+
+    /**
+     * Set how many ticks apart statistics samples are taken
+     */
+    setStatsInterval(interval) {
+        this.statsInterval = validateStatsInterval(interval);
+        this.post({ type: 'statsInterval', interval });
+    }
+
+    /**
+     * Register materials here (for the palette) and in the worker, which is
+     * given the ids allocated here so both sides agree
+     */
+    registerMaterials(defs) {
+        const materials = registerMaterials(defs);
+        this.postMaterials(defs, materials);
+        return materials;
+    }
+
+    /**
+     * Send registered definitions to the worker with their allocated ids
+     */
+    postMaterials(defs, materials) {
+        this.post({ type: 'materials', defs: defs.map((def, i) => ({ ...def, id: materials[i].id })) });
+    }
+
+    /**
+     * Load a material pack - see Simulation.loadMaterialPack
+     * Everything is checked here before the worker hears of it
+     */
+    loadMaterialPack(data) {
+        const pack = parseMaterialPack(data);
+        const materials = registerMaterials(pack.materials);
+        const reactions = [...this.reactions, ...pack.reactions];
+        try {
+            compileReactions(reactions);
+            updateMaterials(pack.overrides);
+        } catch (e) {
+            unregisterMaterials(materials);
+            throw e;
+        }
+        this.postMaterials(pack.materials, materials);
+        if (pack.reactions.length > 0) {
+            this.setReactions(reactions);
+        }
+        this.post({ type: 'editMaterials', overrides: pack.overrides });
+        return materials;
+    }
+
+    /**
+     * Change properties of existing materials here (for the editor and
+     * palette) and in the worker
+     */
+    updateMaterials(overrides) {
+        updateMaterials(overrides);
+        this.post({ type: 'editMaterials', overrides });
+    }
+
+    /**
+     * Change properties of one material
+     */
+    updateMaterial(id, changes) {
+        this.updateMaterials({ [id]: changes });
+    }
+
+    /**
+     * Undo every edit made to a material
+     */
+    revertMaterial(id) {
+        revertMaterial(id);
+        this.post({ type: 'revertMaterial', id });
+    }
+
+    /**
+     * Replace the reaction table - checked here so a bad table throws at once
+     */
+    setReactions(data) {
+        const rules = parseReactions(data);
+        compileReactions(rules);
+        this.reactions = rules;
+        this.post({ type: 'reactions', rules });
+    }
+
+    /**
+     * Reset the simulation to empty state
+     */
+    reset(seed) {
+        if (seed !== undefined) this.seed = seed;
+        this.stats.clear();
+        this.post({ type: 'reset', seed });
+    }
+
+    /**
+     * Set simulation speed
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+        this.post({ type: 'speed', speed });
+    }
+
+    /**
+     * Set pause state
+     */
+    setPaused(paused) {
+        this.paused = paused;
+        this.post({ type: 'pause', paused });
+    }
+
+    /**
+     * Toggle pause state
+     */
+    togglePause() {
+        this.setPaused(!this.paused);
+        return this.paused;
+    }
+
+    /**
+     * Step one frame when paused
+     */
+    step() {
+        this.post({ type: 'step' });
+    }
+}
@@ -3,6 +3,15 @@
  * Optimized for performance
  */
 
+import { CHUNK_SIZE } from './simulation.js';
+import { CHARGE } from './circuits.js';
+
+// Pressure (in cells of water) shown at full overlay intensity
+const PRESSURE_FULL_SCALE = 40;
+
+// How dark the deepest night gets, as the opacity of the shade drawn over it
+const NIGHT_SHADE = 0.6;
+
 export class Renderer {
     constructor(canvas, overlayCanvas, simulation) {
         this.canvas = canvas;
@@ -11,18 +20,9 @@ export class Renderer {
         this.overlayCtx = overlayCanvas.getContext('2d');
         this.sim = simulation;
         
-        // Set canvas sizes
-        this.canvas.width = simulation.width;
-        this.canvas.height = simulation.height;
-        this.overlay.width = simulation.width;
-        this.overlay.height = simulation.height;
-        
-        // Create image data buffer
-        this.imageData = this.ctx.createImageData(simulation.width, simulation.height);
-        
         // Display scaling
         this.scale = 2;
-        this.updateCanvasSize();
+        this.resizeBuffers();
         
         // Glow effect disabled by default for performance
         this.glowEnabled = false;
@@ -30,6 +30,23 @@ export class Renderer {
         // Overlay settings
         this.showHeat = false;
         this.showPressure = false;
+        this.showCharge = false;
+        this.showChunks = false;
+    }
+
+    /**
+     * Size the canvases and image buffer to the simulation grid
+     * Call again after the world is resized
+     */
+    resizeBuffers() {
+        const { width, height } = this.sim;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.overlay.width = width;
+        this.overlay.height = height;
+        
+        this.imageData = this.ctx.createImageData(width, height);
+        this.updateCanvasSize();
     }
 
     /**
@@ -68,14 +85,21 @@ export class Renderer {
         // Draw to canvas
         this.ctx.putImageData(this.imageData, 0, 0);
         
+        // Darken the world as night falls
+        const light = this.sim.daylight();
+        if (light < 1) {
+            this.ctx.fillStyle = `rgba(5, 10, 30, ${((1 - light) * NIGHT_SHADE).toFixed(3)})`;
+            this.ctx.fillRect(0, 0, this.sim.width, this.sim.height);
+        }
+        
         // Render overlays only if enabled
-        if (this.showHeat || this.showPressure) {
+        if (this.showHeat || this.showPressure || this.showCharge || this.showChunks) {
             this.renderOverlay();
         }
     }
 
     /**
-     * Render temperature or pressure overlay
+     * Render temperature, pressure, charge or chunk debug overlay
      */
     renderOverlay() {
         this.overlayCtx.clearRect(0, 0, this.overlay.width, this.overlay.height);
@@ -83,8 +107,7 @@ export class Renderer {
         if (this.showHeat) {
             for (let y = 0; y < this.sim.height; y += 6) {
                 for (let x = 0; x < this.sim.width; x += 6) {
-                    const cell = this.sim.getCell(x, y);
-                    const temp = cell.temperature || 20;
+                    const temp = this.sim.temperature[y * this.sim.width + x];
                     
                     let r = 0, g = 0, b = 0, a = 0;
                     if (temp > 100) {
@@ -103,6 +126,79 @@ export class Renderer {
                 }
             }
         }
+        
+        if (this.showPressure) {
+            this.renderPressure();
+        }
+        
+        if (this.showCharge) {
+            this.renderCharge();
+        }
+        
+        if (this.showChunks) {
+            this.renderChunks();
+        }
+    }
+
+    /**
+     * Tint liquid by pressure - pale cyan near the surface to deep violet
+     * under PRESSURE_FULL_SCALE cells of water
+     */
+    renderPressure() {
+        const { width, height, pressure } = this.sim;
+        const step = 3;
+        
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                const p = pressure[y * width + x];
+                if (p <= 0) continue;
+                
+                const t = Math.min(1, p / PRESSURE_FULL_SCALE);
+                const r = Math.round(80 + 120 * t);
+                const g = Math.round(220 - 200 * t);
+                this.overlayCtx.fillStyle = `rgba(${r}, ${g}, 255, ${0.25 + 0.35 * t})`;
+                this.overlayCtx.fillRect(x, y, step, step);
+            }
+        }
+    }
+
+    /**
+     * Highlight live conductors - dim where charge just sits, bright yellow
+     * where current flows through to a ground
+     */
+    renderCharge() {
+        const { width, height, charge } = this.sim;
+        const ctx = this.overlayCtx;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const c = charge[y * width + x];
+                if (c === CHARGE.NONE) continue;
+                
+                ctx.fillStyle = c === CHARGE.CURRENT ? 'rgba(255, 240, 60, 0.75)' : 'rgba(255, 200, 80, 0.3)';
+                ctx.fillRect(x, y, 1, 1);
+            }
+        }
+    }
+
+    /**
+     * Outline the chunks that were processed last tick
+     */
+    renderChunks() {
+        const { chunksX, chunksY, chunkAwake } = this.sim;
+        this.overlayCtx.strokeStyle = 'rgba(80, 255, 140, 0.6)';
+        this.overlayCtx.lineWidth = 1;
+        
+        for (let cy = 0; cy < chunksY; cy++) {
+            for (let cx = 0; cx < chunksX; cx++) {
+                if (chunkAwake[cy * chunksX + cx]) {
+                    this.overlayCtx.strokeRect(
+                        cx * CHUNK_SIZE + 0.5, cy * CHUNK_SIZE + 0.5,
+                        CHUNK_SIZE - 1, CHUNK_SIZE - 1
+                    );
+                }
+            }
+        }
     }
 
     /**
@@ -0,0 +1,72 @@
+/**
+ * Scene Scripts for Earth Physics Sandbox
+ * Builds a simulation from a plain description: size, seed and draw commands
+ */
+
+import { resolveMaterial } from './materials.js';
+import { Simulation } from './simulation.js';
+import { DEFAULT_WEATHER } from './weather.js';
+
+export { resolveMaterial };
+
+/**
+ * Apply one draw command to a simulation
+ */
+export function runCommand(sim, command) {
+    switch (command.type) {
+        case 'brush':
+            sim.drawBrush(command.x, command.y, resolveMaterial(command.material),
+                command.radius ?? 5, command.shape ?? 'circle');
+            break;
+        case 'line':
+            sim.drawLine(command.x0, command.y0, command.x1, command.y1,
+                resolveMaterial(command.material), command.radius ?? 1);
+            break;
+        case 'rect':
+            sim.drawRect(command.x0, command.y0, command.x1, command.y1,
+                resolveMaterial(command.material));
+            break;
+        case 'impulse':
+            sim.applyImpulse(command.x, command.y, command.radius ?? 5, command.strength ?? 4);
+            break;
+        default:
+            throw new Error(`Unknown scene command: ${JSON.stringify(command.type)}`);
+    }
+}
+
+/**
+ * Create a simulation from a scene description
+ * { width, height, seed, boundary: { top, bottom, left, right },
+ *   gravity: { angle, strength }, weather: { ambient, dayNight },
+ *   materials: [{ name, state, density, color, ... }],
+ *   reactions: [{ material, neighbor, ... }],
+ *   commands: [{ type: 'brush' | 'line' | 'rect' | 'impulse', material, ... }] }
+ */
+export function buildScene(scene, seed = scene.seed ?? 1) {
+    const { width, height } = scene;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new Error(`Scene needs positive integer width and height, got ${width}x${height}`);
+    }
+
+    const sim = new Simulation(width, height, seed);
+    for (const edge in scene.boundary || {}) {
+        sim.setBoundary(edge, scene.boundary[edge]);
+    }
+    if (scene.gravity) {
+        sim.setGravity(scene.gravity.angle ?? 0, scene.gravity.strength ?? 1);
+    }
+    if (scene.weather) {
+        sim.setWeather(scene.weather.ambient ?? DEFAULT_WEATHER.ambient,
+            scene.weather.dayNight ?? DEFAULT_WEATHER.dayNight);
+    }
+    if (scene.materials) {
+        sim.registerMaterials(scene.materials);
+    }
+    if (scene.reactions) {
+        sim.setReactions(scene.reactions);
+    }
+    for (const command of scene.commands || []) {
+        runCommand(sim, command);
+    }
+    return sim;
+}
@@ -0,0 +1,331 @@
+/**
+ * Scene Serializer for Earth Physics Sandbox
+ * Versioned save format in two flavours: compact binary (RLE) and readable JSON
+ */
+
+import { MATERIALS } from './materials.js';
+import { MAX_WORLD_SIZE } from './simulation.js';
+
+export const SAVE_FORMAT = 'earth-physics-sandbox';
+export const SAVE_VERSION = 2;
+
+// "EPSB" - first bytes of a binary save
+const MAGIC = 0x42535045;
+const HEADER_BYTES = 28;
+
+// Per-cell fields stored in a save, in file order, with the version that
+// added each - older saves load with the newer fields zeroed
+const FIELDS = [
+    { key: 'ids', tag: 'IDS ', type: 'u16', since: 1 },
+    { key: 'life', tag: 'LIFE', type: 'i16', since: 1 },
+    { key: 'temperature', tag: 'TEMP', type: 'f32', since: 1 },
+    { key: 'flags', tag: 'FLAG', type: 'u8', since: 2 }
+];
+
+const TYPE_BYTES = { u8: 1, u16: 2, i16: 2, f32: 4 };
+const TYPE_ARRAYS = { u8: Uint8Array, u16: Uint16Array, i16: Int16Array, f32: Float32Array };
+
+/**
+ * Run-length encode a typed array into [value, count, value, count, ...]
+ */
+export function encodeRLE(values) {
+    const runs = [];
+    let i = 0;
+    while (i < values.length) {
+        const value = values[i];
+        let j = i + 1;
+        while (j < values.length && Object.is(values[j], value)) j++;
+        runs.push(value, j - i);
+        i = j;
+    }
+    return runs;
+}
+
+/**
+ * Expand [value, count, ...] runs into a typed array, checking the cell total
+ */
+export function decodeRLE(runs, target, label) {
+    if (!Array.isArray(runs) || runs.length % 2 !== 0) {
+        throw new Error(`${label} data must be an array of value, count pairs`);
+    }
+    let offset = 0;
+    for (let i = 0; i < runs.length; i += 2) {
+        const value = runs[i];
+        const count = runs[i + 1];
+        if (!Number.isFinite(value)) {
+            throw new Error(`${label} data has an invalid value ${JSON.stringify(value)} in run ${i / 2}`);
+        }
+        if (!Number.isInteger(count) || count <= 0) {
+            throw new Error(`${label} data has an invalid count ${JSON.stringify(count)} in run ${i / 2}`);
+        }
+        if (offset + count > target.length) {
+            throw new Error(`${label} data covers more than ${target.length} cells`);
+        }
+        target.fill(value, offset, offset + count);
+        offset += count;
+    }
+    if (offset !== target.length) {
+        throw new Error(`${label} data covers ${offset} cells, expected ${target.length}`);
+    }
+    return target;
+}
+
+/**
+ * Capture everything a save needs from a simulation
+ */
+export function captureState(sim) {
+    const state = {
+        width: sim.width,
+        height: sim.height,
+        seed: sim.seed,
+        rngState: sim.rng.state,
+        frameCount: sim.frameCount
+    };
+    for (const field of FIELDS) {
+        state[field.key] = sim[field.key];
+    }
+    return state;
+}
+
+/**
+ * Serialize state to the readable JSON form
+ */
+export function toJSON(state) {
+    const cells = {};
+    for (const field of FIELDS) {
+        cells[field.key] = encodeRLE(state[field.key]);
+    }
+
+    // Legend so a reader can tell what the ids mean
+    const materials = {};
+    for (const key in MATERIALS) {
+        materials[key] = MATERIALS[key].name;
+    }
+
+    return JSON.stringify({
+        format: SAVE_FORMAT,
+        version: SAVE_VERSION,
+        width: state.width,
+        height: state.height,
+        seed: state.seed,
+        rngState: state.rngState,
+        frameCount: state.frameCount,
+        materials,
+        cells
+    });
+}
+
+/**
+ * Serialize state to the compact binary form
+ */
+export function toBinary(state) {
+    const sections = FIELDS.map(field => ({ field, runs: encodeRLE(state[field.key]) }));
+
+    let size = HEADER_BYTES;
+    for (const { field, runs } of sections) {
+        size += 8 + (runs.length / 2) * (TYPE_BYTES[field.type] + 4);
+    }
+
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    view.setUint32(0, MAGIC, true);
+    view.setUint16(4, SAVE_VERSION, true);
+    view.setUint16(6, sections.length, true);
+    view.setUint32(8, state.width, true);
+    view.setUint32(12, state.height, true);
+    view.setUint32(16, state.seed, true);
+    view.setUint32(20, state.rngState, true);
+    view.setUint32(24, state.frameCount, true);
+
+    let offset = HEADER_BYTES;
+    for (const { field, runs } of sections) {
+        for (let i = 0; i < 4; i++) {
+            view.setUint8(offset + i, field.tag.charCodeAt(i));
+        }
+        view.setUint32(offset + 4, runs.length / 2, true);
+        offset += 8;
+        
+        for (let i = 0; i < runs.length; i += 2) {
+            offset = writeValue(view, offset, field.type, runs[i]);
+            view.setUint32(offset, runs[i + 1], true);
+            offset += 4;
+        }
+    }
+
+    return buffer;
+}
+
+function writeValue(view, offset, type, value) {
+    if (type === 'u8') view.setUint8(offset, value);
+    else if (type === 'u16') view.setUint16(offset, value, true);
+    else if (type === 'i16') view.setInt16(offset, value, true);
+    else view.setFloat32(offset, value, true);
+    return offset + TYPE_BYTES[type];
+}
+
+function readValue(view, offset, type) {
+    if (type === 'u8') return view.getUint8(offset);
+    if (type === 'u16') return view.getUint16(offset, true);
+    if (type === 'i16') return view.getInt16(offset, true);
+    return view.getFloat32(offset, true);
+}
+
+/**
+ * Parse a save (ArrayBuffer/typed array for binary, string or object for JSON)
+ */
+export function parseSave(data) {
+    if (typeof data === 'string') {
+        let parsed;
+        try {
+            parsed = JSON.parse(data);
+        } catch (e) {
+            throw new Error(`Save file is not valid JSON: ${e.message}`);
+        }
+        return fromJSON(parsed);
+    }
+    if (ArrayBuffer.isView(data)) {
+        data = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    }
+    if (data instanceof ArrayBuffer) {
+        // JSON saves read as bytes start with "{"
+        if (data.byteLength > 0 && new Uint8Array(data)[0] === 0x7B) {
+            return parseSave(new TextDecoder().decode(data));
+        }
+        return fromBinary(data);
+    }
+    if (data && typeof data === 'object') {
+        return fromJSON(data);
+    }
+    throw new Error('Unrecognized save data');
+}
+
+function checkHeader(version, width, height) {
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid save version: ${version}`);
+    }
+    if (version > SAVE_VERSION) {
+        throw new Error(`Save version ${version} is newer than this sandbox supports (${SAVE_VERSION})`);
+    }
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new Error(`Invalid save dimensions: ${width}x${height}`);
+    }
+    // Checked before allocating so a bad header cannot ask for huge arrays
+    if (width > MAX_WORLD_SIZE || height > MAX_WORLD_SIZE) {
+        throw new Error(`Save is ${width}x${height}, larger than the ${MAX_WORLD_SIZE}x${MAX_WORLD_SIZE} limit`);
+    }
+}
+
+function allocate(width, height) {
+    const arrays = {};
+    for (const field of FIELDS) {
+        arrays[field.key] = new TYPE_ARRAYS[field.type](width * height);
+    }
+    return arrays;
+}
+
+function fromJSON(obj) {
+    if (obj.format !== SAVE_FORMAT) {
+        throw new Error('Not an Earth Physics Sandbox save file');
+    }
+    checkHeader(obj.version, obj.width, obj.height);
+    if (!obj.cells) {
+        throw new Error('Save file has no cell data');
+    }
+
+    const arrays = allocate(obj.width, obj.height);
+    for (const field of FIELDS) {
+        if (field.since > obj.version) continue;
+        const runs = obj.cells[field.key];
+        if (!Array.isArray(runs) || runs.length % 2 !== 0) {
+            throw new Error(`Save file is missing "${field.key}" cell data`);
+        }
+        decodeRLE(runs, arrays[field.key], field.key);
+    }
+
+    return validate({
+        width: obj.width,
+        height: obj.height,
+        seed: obj.seed >>> 0,
+        rngState: (obj.rngState ?? obj.seed) >>> 0,
+        frameCount: obj.frameCount >>> 0,
+        ...arrays
+    });
+}
+
+function fromBinary(buffer) {
+    if (buffer.byteLength < HEADER_BYTES) {
+        throw new Error('Save file is truncated');
+    }
+    const view = new DataView(buffer);
+    if (view.getUint32(0, true) !== MAGIC) {
+        throw new Error('Not an Earth Physics Sandbox save file');
+    }
+
+    const version = view.getUint16(4, true);
+    const sectionCount = view.getUint16(6, true);
+    const width = view.getUint32(8, true);
+    const height = view.getUint32(12, true);
+    checkHeader(version, width, height);
+
+    const arrays = allocate(width, height);
+    const seen = new Set();
+    let offset = HEADER_BYTES;
+
+    for (let s = 0; s < sectionCount; s++) {
+        if (offset + 8 > buffer.byteLength) {
+            throw new Error('Save file is truncated');
+        }
+        const tag = String.fromCharCode(
+            view.getUint8(offset), view.getUint8(offset + 1),
+            view.getUint8(offset + 2), view.getUint8(offset + 3)
+        );
+        const runCount = view.getUint32(offset + 4, true);
+        offset += 8;
+        
+        const field = FIELDS.find(f => f.tag === tag);
+        if (!field) {
+            throw new Error(`Unknown section "${tag}" in save file`);
+        }
+        const runBytes = TYPE_BYTES[field.type] + 4;
+        if (offset + runCount * runBytes > buffer.byteLength) {
+            throw new Error('Save file is truncated');
+        }
+        
+        const runs = new Array(runCount * 2);
+        for (let i = 0; i < runCount; i++) {
+            runs[i * 2] = readValue(view, offset, field.type);
+            runs[i * 2 + 1] = view.getUint32(offset + runBytes - 4, true);
+            offset += runBytes;
+        }
+        decodeRLE(runs, arrays[field.key], field.key);
+        seen.add(field.key);
+    }
+
+    for (const field of FIELDS) {
+        if (field.since <= version && !seen.has(field.key)) {
+            throw new Error(`Save file is missing "${field.key}" cell data`);
+        }
+    }
+
+    return validate({
+        width,
+        height,
+        seed: view.getUint32(16, true),
+        rngState: view.getUint32(20, true),
+        frameCount: view.getUint32(24, true),
+        ...arrays
+    });
+}
+
+/**
+ * Reject material ids this sandbox does not know
+ */
+function validate(state) {
+    const { ids, width } = state;
+    for (let i = 0; i < ids.length; i++) {
+        if (!MATERIALS[ids[i]]) {
+            throw new Error(`Unknown material id ${ids[i]} at cell (${i % width}, ${Math.floor(i / width)})`);
+        }
+    }
+    return state;
+}
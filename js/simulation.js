@@ -3,63 +3,498 @@
  * Optimized for performance with faster physics
  */
 
-import { MATERIAL, MATERIALS, getMaterial, getColor } from './materials.js';
+import { MATERIAL, MATERIALS, STATE, getMaterial, getColor } from './materials.js';
 import { PhysicsEngine } from './physics.js';
 import { InteractionsEngine } from './interactions.js';
+import { ThermalEngine, AMBIENT_TEMP } from './thermal.js';
+import { PressureEngine } from './pressure.js';
+import { BodyEngine } from './bodies.js';
+import { BlastEngine } from './blast.js';
+import { CircuitEngine } from './circuits.js';
+import { PlantEngine } from './plants.js';
+import { SoilEngine } from './soil.js';
+import { CombustionEngine } from './combustion.js';
+import { DEFAULT_WEATHER, WeatherEngine, validateWeather } from './weather.js';
+import { DEFAULT_STATS_INTERVAL, StatsHistory, StatsRecorder, validateStatsInterval } from './stats.js';
+import { Random, randomSeed } from './random.js';
+import { parseMaterialPack, registerMaterials, revertMaterial, unregisterMaterials, updateMaterials } from './registry.js';
+import { captureState, parseSave, toBinary, toJSON } from './serializer.js';
+
+// Chunks are CHUNK_SIZE x CHUNK_SIZE cells (power of two so lookups are shifts)
+export const CHUNK_SHIFT = 4;
+export const CHUNK_SIZE = 1 << CHUNK_SHIFT;
+
+// Ticks a chunk stays awake after the last change inside it
+const SLEEP_DELAY = 30;
+
+// Sleeping chunks get a brief wake-up this often (staggered) so slow
+// reactions like growth and erosion still happen in settled regions
+const CHUNK_REFRESH_INTERVAL = 120;
+
+// Interactions run every INTERACTION_INTERVAL ticks for one of
+// INTERACTION_PHASES diagonal stripes of cells, so each cell is checked once
+// every INTERACTION_INTERVAL * INTERACTION_PHASES ticks
+export const INTERACTION_INTERVAL = 2;
+export const INTERACTION_PHASES = 3;
+
+// Ticks per display frame at 1x speed - balanced for stability and speed
+const BASE_TICKS_PER_FRAME = 2;
+
+// Per-cell fields carried over when the world is resized
+const CELL_FIELDS = ['ids', 'life', 'temperature', 'flags', 'velocityX', 'velocityY'];
+
+// World size limits (cells per side)
+export const MIN_WORLD_SIZE = 32;
+export const MAX_WORLD_SIZE = 1280;
+
+// What happens at each edge of the world: a solid wall, an open void that
+// deletes particles leaving the grid, or wrap-around to the opposite edge
+export const BOUNDARY = { WALL: 'wall', VOID: 'void', WRAP: 'wrap' };
+export const DEFAULT_BOUNDARY = Object.freeze({
+    top: BOUNDARY.WALL,
+    bottom: BOUNDARY.WALL,
+    left: BOUNDARY.WALL,
+    right: BOUNDARY.WALL
+});
+const OPPOSITE_EDGE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+/**
+ * Return a copy of a boundary setting with one edge changed
+ * Wrap joins two edges, so it is switched on and off for both together
+ */
+export function withBoundary(boundary, edge, mode) {
+    const opposite = OPPOSITE_EDGE[edge];
+    if (!opposite) {
+        throw new Error(`Unknown edge: ${edge}`);
+    }
+    if (!Object.values(BOUNDARY).includes(mode)) {
+        throw new Error(`Unknown boundary mode: ${mode}`);
+    }
+    
+    const next = { ...boundary, [edge]: mode };
+    if (mode === BOUNDARY.WRAP) {
+        next[opposite] = BOUNDARY.WRAP;
+    } else if (next[opposite] === BOUNDARY.WRAP) {
+        next[opposite] = BOUNDARY.WALL;
+    }
+    return next;
+}
+
+// Gravity as an angle in degrees clockwise from straight down and a
+// strength relative to normal (0 = zero-G)
+export const DEFAULT_GRAVITY = Object.freeze({ angle: 0, strength: 1 });
+export const MAX_GRAVITY_STRENGTH = 3;
+
+/**
+ * Check a gravity setting and return it with the angle folded into 0-359
+ */
+export function validateGravity(angle, strength) {
+    if (!Number.isFinite(angle)) {
+        throw new Error(`Gravity angle must be a number, got ${angle}`);
+    }
+    if (!Number.isFinite(strength) || strength < 0 || strength > MAX_GRAVITY_STRENGTH) {
+        throw new Error(`Gravity strength must be between 0 and ${MAX_GRAVITY_STRENGTH}, got ${strength}`);
+    }
+    return { angle: ((angle % 360) + 360) % 360, strength };
+}
+
+/**
+ * Throw if a world size is outside the supported range
+ */
+export function validateWorldSize(width, height) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) ||
+        width < MIN_WORLD_SIZE || height < MIN_WORLD_SIZE ||
+        width > MAX_WORLD_SIZE || height > MAX_WORLD_SIZE) {
+        throw new Error(`World size must be whole numbers between ${MIN_WORLD_SIZE} and ${MAX_WORLD_SIZE}, got ${width}x${height}`);
+    }
+}
 
 export class Simulation {
-    constructor(width, height) {
-        this.width = width;
-        this.height = height;
-        this.grid = new Array(width * height);
-        this.colorCache = new Uint8ClampedArray(width * height * 4);
+    constructor(width, height, seed = randomSeed()) {
+        this.allocate(width, height);
+        
+        // Single seeded random source shared by every subsystem
+        this.rng = new Random(seed);
+        this.seed = this.rng.seed;
+        
         this.physics = new PhysicsEngine(this);
         this.interactions = new InteractionsEngine(this);
+        this.thermal = new ThermalEngine(this);
+        this.pressureEngine = new PressureEngine(this);
+        this.bodies = new BodyEngine(this);
+        this.blasts = new BlastEngine(this);
+        this.circuits = new CircuitEngine(this);
+        this.plants = new PlantEngine(this);
+        this.soil = new SoilEngine(this);
+        this.combustion = new CombustionEngine(this);
+        this.weatherEngine = new WeatherEngine(this);
+        this.statsRecorder = new StatsRecorder(this);
         
         // Track which cells have dynamic materials for optimized color updates
         this.dynamicCells = new Set();
         
+        // Cells overwritten by drawing while an undo entry is being recorded
+        this.recording = null;
+        
+        // Edge behaviour - wrapX/wrapY cache whether each axis is joined
+        this.boundary = DEFAULT_BOUNDARY;
+        this.wrapX = false;
+        this.wrapY = false;
+        
+        // Gravity direction and strength, applied by the physics engine
+        this.gravity = DEFAULT_GRAVITY;
+        
+        // Ambient air temperature and day/night cycle, run by the weather engine
+        this.weather = DEFAULT_WEATHER;
+        
+        // Per-material statistics, sampled every statsInterval ticks
+        this.stats = new StatsHistory();
+        this.statsInterval = DEFAULT_STATS_INTERVAL;
+        
+        // Set while a tick runs, so only changes the simulation makes itself
+        // count toward the statistics
+        this.ticking = false;
+        
         // Simulation state
         this.paused = true;
         this.speed = 1;
-        this.ticksPerFrame = 1;
+        this.ticksPerFrame = BASE_TICKS_PER_FRAME;
         this.frameCount = 0;
         this.particleCount = 0;
         
         // Initialize grid with air
-        this.reset();
+        this.reset(seed);
     }
 
     /**
-     * Reset the simulation to empty state
+     * Allocate grid buffers for a world size
+     */
+    allocate(width, height) {
+        this.width = width;
+        this.height = height;
+        this.size = width * height;
+        
+        // Structure-of-arrays grid: one typed array per cell field
+        this.ids = new Uint16Array(this.size);          // material id
+        this.life = new Int16Array(this.size);          // ticks of lifetime or burning left, water held, or oxygen air has given up
+        this.temperature = new Float32Array(this.size); // degrees C
+        this.flags = new Uint8Array(this.size);         // per-cell state bits for subsystems
+        this.velocityX = new Float32Array(this.size);   // cells per tick, + is right
+        this.velocityY = new Float32Array(this.size);   // cells per tick, + is down
+        this.stamp = new Uint32Array(this.size);        // frame the cell last moved or changed
+        this.pressure = new Float32Array(this.size);    // liquid pressure in cells of water
+        this.charge = new Uint8Array(this.size);        // electrical state (see CHARGE in circuits.js)
+        
+        this.colorCache = new Uint8ClampedArray(this.size * 4);
+        
+        // Chunk sleep tracking - only awake chunks are processed each tick
+        this.chunksX = Math.ceil(width / CHUNK_SIZE);
+        this.chunksY = Math.ceil(height / CHUNK_SIZE);
+        this.chunkTimer = new Uint8Array(this.chunksX * this.chunksY);
+        this.chunkAwake = new Uint8Array(this.chunksX * this.chunksY);
+    }
+
+    /**
+     * Change the world size
+     * mode 'clear' empties the world, 'anchor' keeps contents at their size
+     * anchored bottom-center, 'scale' stretches contents to the new size
      */
-    reset() {
-        for (let i = 0; i < this.grid.length; i++) {
-            this.grid[i] = { id: MATERIAL.AIR, life: 0, temperature: 20 };
+    resize(width, height, mode = 'clear') {
+        validateWorldSize(width, height);
+        
+        const old = { width: this.width, height: this.height };
+        for (const key of CELL_FIELDS) old[key] = this[key];
+        
+        this.allocate(width, height);
+        this.temperature.fill(AMBIENT_TEMP);
+        this.recording = null;
+        
+        if (mode === 'anchor') {
+            const offsetX = Math.floor((width - old.width) / 2);
+            const offsetY = height - old.height;
+            for (let y = 0; y < old.height; y++) {
+                const ny = y + offsetY;
+                if (ny < 0 || ny >= height) continue;
+                for (let x = 0; x < old.width; x++) {
+                    const nx = x + offsetX;
+                    if (nx < 0 || nx >= width) continue;
+                    this.copyCell(old, y * old.width + x, ny * width + nx);
+                }
+            }
+        } else if (mode === 'scale') {
+            for (let y = 0; y < height; y++) {
+                const sy = Math.floor(y * old.height / height);
+                for (let x = 0; x < width; x++) {
+                    const sx = Math.floor(x * old.width / width);
+                    this.copyCell(old, sy * old.width + sx, y * width + x);
+                }
+            }
         }
+        
+        this.rebuildDerivedState();
+    }
+
+    /**
+     * Copy every cell field from an old grid snapshot
+     */
+    copyCell(old, from, to) {
+        for (const key of CELL_FIELDS) {
+            this[key][to] = old[key][from];
+        }
+    }
+
+    /**
+     * Recount particles, re-track animated cells, wake everything and redraw colors
+     */
+    rebuildDerivedState() {
+        this.particleCount = 0;
+        this.dynamicCells.clear();
+        for (let i = 0; i < this.size; i++) {
+            const id = this.ids[i];
+            if (id !== MATERIAL.AIR) this.particleCount++;
+            if (typeof getMaterial(id).color === 'function') this.dynamicCells.add(i);
+        }
+        this.chunkTimer.fill(SLEEP_DELAY);
+        this.updateColorCache();
+    }
+
+    /**
+     * Reset the simulation to empty state
+     * Re-seeds the random source so a run replays from the same seed
+     */
+    reset(seed = this.seed) {
+        this.rng.setSeed(seed);
+        this.seed = this.rng.seed;
+        this.frameCount = 0;
+        
+        this.ids.fill(MATERIAL.AIR);
+        this.life.fill(0);
+        this.temperature.fill(AMBIENT_TEMP);
+        this.flags.fill(0);
+        this.velocityX.fill(0);
+        this.velocityY.fill(0);
+        this.stamp.fill(0);
+        this.pressure.fill(0);
+        this.charge.fill(0);
+        this.chunkTimer.fill(0);
+        this.chunkAwake.fill(0);
+        
         this.particleCount = 0;
         this.dynamicCells.clear();
+        this.stats.clear();
+        this.statsRecorder.reset();
         this.updateColorCache();
     }
 
     /**
-     * Get cell at position - inlined for performance
+     * Point gravity at an angle (degrees clockwise from straight down) with
+     * a strength relative to normal - 0 is zero-G
+     */
+    setGravity(angle, strength) {
+        this.gravity = validateGravity(angle, strength);
+        this.physics.setGravity(this.gravity.angle, this.gravity.strength);
+        
+        // Settled piles have a new "down" to fall toward
+        this.chunkTimer.fill(SLEEP_DELAY);
+    }
+
+    /**
+     * Set the ambient air temperature and turn the day/night cycle on or off
+     */
+    setWeather(ambient, dayNight) {
+        this.weather = validateWeather(ambient, dayNight);
+        this.weatherEngine.step();
+        
+        // Settled regions warm or cool toward the new temperature
+        this.chunkTimer.fill(SLEEP_DELAY);
+    }
+
+    /**
+     * Light level from 0 (night) to 1 (day)
+     */
+    daylight() {
+        return this.weatherEngine.light;
+    }
+
+    /**
+     * Set how many ticks apart statistics samples are taken
+     */
+    setStatsInterval(interval) {
+        this.statsInterval = validateStatsInterval(interval);
+    }
+
+    /**
+     * Refresh every engine's cached material properties
+     */
+    rebuildTables() {
+        this.thermal.buildTables();
+        this.pressureEngine.buildTables();
+        this.bodies.buildTables();
+        this.circuits.buildTables();
+        this.plants.buildTables();
+        this.soil.buildTables();
+        this.combustion.buildTables();
+        this.weatherEngine.buildTables();
+        this.interactions.buildTables();
+    }
+
+    /**
+     * Register materials at runtime - see registerMaterials in registry.js
+     */
+    registerMaterials(defs) {
+        const materials = registerMaterials(defs);
+        this.rebuildTables();
+        return materials;
+    }
+
+    /**
+     * Load a material pack: register its materials, add its reactions to
+     * the end of the reaction table, then apply its overrides. A pack that
+     * fails at any step is backed out whole
+     */
+    loadMaterialPack(data) {
+        const pack = parseMaterialPack(data);
+        const materials = this.registerMaterials(pack.materials);
+        const reactions = this.interactions.reactions;
+        try {
+            if (pack.reactions.length > 0) {
+                this.setReactions([...reactions, ...pack.reactions]);
+            }
+            this.updateMaterials(pack.overrides);
+        } catch (e) {
+            unregisterMaterials(materials);
+            this.setReactions(reactions);
+            this.rebuildTables();
+            throw e;
+        }
+        return materials;
+    }
+
+    /**
+     * Change properties of existing materials - see updateMaterials in
+     * registry.js. Cells already placed take the change at once
+     */
+    updateMaterials(overrides) {
+        this.materialsChanged(updateMaterials(overrides));
+    }
+
+    /**
+     * Change properties of one material
+     */
+    updateMaterial(id, changes) {
+        this.updateMaterials({ [id]: changes });
+    }
+
+    /**
+     * Undo every edit made to a material
+     */
+    revertMaterial(id) {
+        revertMaterial(id);
+        this.materialsChanged([id]);
+    }
+
+    /**
+     * Refresh tables, repaint the changed materials' cells and wake the
+     * world so settled cells notice new densities or thresholds. A color
+     * that turned animated or static moves its cells in or out of the
+     * animated set
+     */
+    materialsChanged(ids) {
+        if (ids.length === 0) return;
+        this.rebuildTables();
+        
+        const changed = new Set(ids);
+        for (let i = 0; i < this.size; i++) {
+            const id = this.ids[i];
+            if (!changed.has(id)) continue;
+            if (typeof getMaterial(id).color === 'function') {
+                this.dynamicCells.add(i);
+            } else {
+                this.dynamicCells.delete(i);
+            }
+            const x = i % this.width;
+            this.updateCellColor(x, (i - x) / this.width);
+        }
+        this.chunkTimer.fill(SLEEP_DELAY);
+    }
+
+    /**
+     * Replace the reaction table - see InteractionsEngine.setReactions
+     */
+    setReactions(data) {
+        this.interactions.setReactions(data);
+    }
+
+    /**
+     * Set the boundary mode ('wall', 'void' or 'wrap') of one edge
+     */
+    setBoundary(edge, mode) {
+        this.boundary = withBoundary(this.boundary, edge, mode);
+        this.wrapX = this.boundary.left === BOUNDARY.WRAP;
+        this.wrapY = this.boundary.top === BOUNDARY.WRAP;
+        
+        // Cells resting against the edges need to notice the change
+        this.chunkTimer.fill(SLEEP_DELAY);
+    }
+
+    /**
+     * Get grid index for a position, or -1 when it lies beyond a wall or void edge
+     * Positions past a wrapped edge map onto the opposite side
+     */
+    index(x, y) {
+        if (x < 0 || x >= this.width) {
+            if (!this.wrapX) return -1;
+            x = ((x % this.width) + this.width) % this.width;
+        }
+        if (y < 0 || y >= this.height) {
+            if (!this.wrapY) return -1;
+            y = ((y % this.height) + this.height) % this.height;
+        }
+        return y * this.width + x;
+    }
+
+    /**
+     * Boundary mode beyond an out-of-bounds position - walls win at corners
+     */
+    edgeAt(x, y) {
+        const { boundary } = this;
+        const horizontal = x < 0 ? boundary.left : x >= this.width ? boundary.right : null;
+        const vertical = y < 0 ? boundary.top : y >= this.height ? boundary.bottom : null;
+        if (horizontal === BOUNDARY.WALL || vertical === BOUNDARY.WALL) return BOUNDARY.WALL;
+        return BOUNDARY.VOID;
+    }
+
+    /**
+     * Get material id at position
+     * Past a wall reads as stone, past a void as air, past a wrap as the far side
      */
     getCell(x, y) {
-        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
-            return { id: MATERIAL.STONE, immovable: true };
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            return this.ids[y * this.width + x];
         }
-        return this.grid[y * this.width + x];
+        const idx = this.index(x, y);
+        if (idx >= 0) return this.ids[idx];
+        return this.edgeAt(x, y) === BOUNDARY.WALL ? MATERIAL.STONE : MATERIAL.AIR;
     }
 
     /**
      * Set cell at position - optimized
+     * Optional props override the material defaults ({ life, temperature, velocityX, velocityY })
      */
-    setCell(x, y, materialId, props = {}) {
-        if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
-        
-        const idx = y * this.width + x;
-        const oldId = this.grid[idx].id;
+    setCell(x, y, materialId, props) {
+        const idx = this.index(x, y);
+        if (idx < 0) return;
+        this.setIndex(idx, materialId, props);
+    }
+
+    /**
+     * Set cell by grid index
+     */
+    setIndex(idx, materialId, props) {
+        const oldId = this.ids[idx];
+        if (this.ticking && oldId !== materialId) {
+            this.statsRecorder.recordChange(oldId, materialId);
+        }
         
         // Update particle count
         if (oldId === MATERIAL.AIR && materialId !== MATERIAL.AIR) {
@@ -69,12 +504,14 @@ export class Simulation {
         }
         
         const mat = getMaterial(materialId);
-        this.grid[idx] = {
-            id: materialId,
-            life: mat.lifetime || 0,
-            temperature: mat.temperature || 20,
-            ...props
-        };
+        this.ids[idx] = materialId;
+        this.life[idx] = props && props.life !== undefined ? props.life : (mat.lifetime || 0);
+        this.temperature[idx] = props && props.temperature !== undefined ? props.temperature : (mat.temperature ?? AMBIENT_TEMP);
+        this.flags[idx] = props && props.flags !== undefined ? props.flags : 0;
+        this.velocityX[idx] = props && props.velocityX !== undefined ? props.velocityX : 0;
+        this.velocityY[idx] = props && props.velocityY !== undefined ? props.velocityY : 0;
+        this.stamp[idx] = this.frameCount;
+        this.wakeIndex(idx);
         
         // Track dynamic materials
         if (typeof mat.color === 'function') {
@@ -84,7 +521,7 @@ export class Simulation {
         }
         
         // Update color cache
-        const color = typeof mat.color === 'function' ? mat.color() : mat.color;
+        const color = typeof mat.color === 'function' ? mat.color(this.rng) : mat.color;
         const colorIdx = idx * 4;
         this.colorCache[colorIdx] = color[0];
         this.colorCache[colorIdx + 1] = color[1];
@@ -96,16 +533,52 @@ export class Simulation {
      * Swap two cells - optimized
      */
     swap(x1, y1, x2, y2) {
-        if (x1 < 0 || x1 >= this.width || y1 < 0 || y1 >= this.height) return;
-        if (x2 < 0 || x2 >= this.width || y2 < 0 || y2 >= this.height) return;
+        const idx1 = this.index(x1, y1);
+        if (idx1 < 0) return;
+        
+        const idx2 = this.index(x2, y2);
+        if (idx2 >= 0) {
+            this.swapIndex(idx1, idx2);
+        } else if (this.edgeAt(x2, y2) === BOUNDARY.VOID) {
+            // Moved out through an open edge - the particle is gone
+            this.setIndex(idx1, MATERIAL.AIR);
+        }
+    }
+
+    /**
+     * Swap two cells by grid index
+     */
+    swapIndex(idx1, idx2) {
+        // Swap every cell field
+        const id = this.ids[idx1];
+        this.ids[idx1] = this.ids[idx2];
+        this.ids[idx2] = id;
+        
+        const life = this.life[idx1];
+        this.life[idx1] = this.life[idx2];
+        this.life[idx2] = life;
+        
+        const temp = this.temperature[idx1];
+        this.temperature[idx1] = this.temperature[idx2];
+        this.temperature[idx2] = temp;
+        
+        const flags = this.flags[idx1];
+        this.flags[idx1] = this.flags[idx2];
+        this.flags[idx2] = flags;
+        
+        const vx = this.velocityX[idx1];
+        this.velocityX[idx1] = this.velocityX[idx2];
+        this.velocityX[idx2] = vx;
         
-        const idx1 = y1 * this.width + x1;
-        const idx2 = y2 * this.width + x2;
+        const vy = this.velocityY[idx1];
+        this.velocityY[idx1] = this.velocityY[idx2];
+        this.velocityY[idx2] = vy;
         
-        // Swap grid cells
-        const temp = this.grid[idx1];
-        this.grid[idx1] = this.grid[idx2];
-        this.grid[idx2] = temp;
+        // Both cells are done for this tick
+        this.stamp[idx1] = this.frameCount;
+        this.stamp[idx2] = this.frameCount;
+        this.wakeIndex(idx1);
+        this.wakeIndex(idx2);
         
         // Swap colors in cache
         const colorIdx1 = idx1 * 4;
@@ -124,21 +597,110 @@ export class Simulation {
         this.colorCache[colorIdx2 + 2] = b1;
         
         // Update dynamic cell tracking
-        if (this.dynamicCells.has(idx1)) {
-            this.dynamicCells.delete(idx1);
-            this.dynamicCells.add(idx2);
+        const dyn1 = this.dynamicCells.has(idx1);
+        const dyn2 = this.dynamicCells.has(idx2);
+        if (dyn1 !== dyn2) {
+            if (dyn1) {
+                this.dynamicCells.delete(idx1);
+                this.dynamicCells.add(idx2);
+            } else {
+                this.dynamicCells.delete(idx2);
+                this.dynamicCells.add(idx1);
+            }
         }
-        if (this.dynamicCells.has(idx2)) {
-            this.dynamicCells.delete(idx2);
-            this.dynamicCells.add(idx1);
+    }
+
+    /**
+     * Push a cell - only material with weight (not air, gas, energy or
+     * fixed solids) picks up velocity
+     */
+    addVelocity(idx, dx, dy) {
+        const mat = getMaterial(this.ids[idx]);
+        if (mat.immovable || mat.state === STATE.GAS || mat.state === STATE.ENERGY) return;
+        
+        this.velocityX[idx] += dx;
+        this.velocityY[idx] += dy;
+        this.wakeIndex(idx);
+    }
+
+    /**
+     * Blast everything within a radius outward, strongest at the center
+     */
+    applyImpulse(centerX, centerY, radius, strength) {
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const dist = Math.hypot(dx, dy);
+                if (dist > radius) continue;
+                
+                const idx = this.index(centerX + dx, centerY + dy);
+                if (idx < 0) continue;
+                
+                // The center cell is thrown straight up
+                const falloff = strength * (1 - dist / (radius + 1));
+                const dirX = dist > 0 ? dx / dist : 0;
+                const dirY = dist > 0 ? dy / dist : -1;
+                this.addVelocity(idx, dirX * falloff, dirY * falloff);
+            }
+        }
+    }
+
+    /**
+     * Keep the chunk holding a cell awake, plus any chunk it borders
+     * (including the far side of a wrapped edge)
+     */
+    wakeIndex(idx) {
+        const { width, height, chunksX, chunksY } = this;
+        const x = idx % width;
+        const y = (idx - x) / width;
+        const cx = x >> CHUNK_SHIFT;
+        const cy = y >> CHUNK_SHIFT;
+        const lx = x & (CHUNK_SIZE - 1);
+        const ly = y & (CHUNK_SIZE - 1);
+        
+        const minX = lx === 0 && (cx > 0 || this.wrapX) ? cx - 1 : cx;
+        const maxX = (lx === CHUNK_SIZE - 1 || x === width - 1) && (cx < chunksX - 1 || this.wrapX) ? cx + 1 : cx;
+        const minY = ly === 0 && (cy > 0 || this.wrapY) ? cy - 1 : cy;
+        const maxY = (ly === CHUNK_SIZE - 1 || y === height - 1) && (cy < chunksY - 1 || this.wrapY) ? cy + 1 : cy;
+        
+        for (let j = minY; j <= maxY; j++) {
+            const row = ((j + chunksY) % chunksY) * chunksX;
+            for (let i = minX; i <= maxX; i++) {
+                this.chunkTimer[row + (i + chunksX) % chunksX] = SLEEP_DELAY;
+            }
         }
     }
 
     /**
-     * Check if position is in bounds - inlined
+     * Check if a cell lies in a chunk being processed this tick
+     */
+    isAwake(x, y) {
+        return this.chunkAwake[(y >> CHUNK_SHIFT) * this.chunksX + (x >> CHUNK_SHIFT)] === 1;
+    }
+
+    /**
+     * Snapshot which chunks run this tick and count down their sleep timers
+     */
+    updateChunks() {
+        const refresh = this.frameCount % CHUNK_REFRESH_INTERVAL;
+        for (let i = 0; i < this.chunkTimer.length; i++) {
+            if (this.chunkTimer[i] === 0 && i % CHUNK_REFRESH_INTERVAL === refresh) {
+                this.chunkTimer[i] = 2;
+            }
+            if (this.chunkTimer[i] > 0) {
+                this.chunkAwake[i] = 1;
+                this.chunkTimer[i]--;
+            } else {
+                this.chunkAwake[i] = 0;
+            }
+        }
+    }
+
+    /**
+     * Check if a position maps to a cell - true past wrapped edges
      */
     inBounds(x, y) {
-        return x >= 0 && x < this.width && y >= 0 && y < this.height;
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) return true;
+        return this.index(x, y) >= 0;
     }
 
     /**
@@ -146,8 +708,7 @@ export class Simulation {
      */
     updateCellColor(x, y) {
         const idx = y * this.width + x;
-        const cell = this.grid[idx];
-        const color = getColor(cell.id);
+        const color = getColor(this.ids[idx], this.rng);
         const colorIdx = idx * 4;
         this.colorCache[colorIdx] = color[0];
         this.colorCache[colorIdx + 1] = color[1];
@@ -171,34 +732,76 @@ export class Simulation {
      */
     tick() {
         this.frameCount++;
+        this.ticking = true;
+        this.updateChunks();
+        this.weatherEngine.step();
+        
+        const awake = this.chunkAwake;
+        const chunksX = this.chunksX;
+        
+        // Liquid pressure feeds this tick's liquid movement
+        this.pressureEngine.step();
+        
+        // Rigid bodies move as a whole before the loose cells around them
+        this.physics.beginTick();
+        this.bodies.step();
+        
+        // Process cells nearest "down" first, skipping sleeping chunks
+        const { stepX, stepY } = this.physics.scanOrder();
+        const bottomUp = stepY <= 0;
         
-        // Alternate direction for even distribution
-        const leftToRight = this.frameCount % 2 === 0;
+        // Alternate horizontal direction for even distribution unless
+        // gravity pulls sideways
+        const leftToRight = stepX === 0 ? this.frameCount % 2 === 0 : stepX > 0;
         
-        // Process from bottom to top for gravity
-        for (let y = this.height - 1; y >= 0; y--) {
+        for (let row = 0; row < this.height; row++) {
+            const y = bottomUp ? this.height - 1 - row : row;
+            const chunkRow = (y >> CHUNK_SHIFT) * chunksX;
             if (leftToRight) {
-                for (let x = 0; x < this.width; x++) {
-                    this.physics.update(x, y);
+                for (let cx = 0; cx < chunksX; cx++) {
+                    if (!awake[chunkRow + cx]) continue;
+                    const x1 = Math.min(this.width, (cx + 1) << CHUNK_SHIFT);
+                    for (let x = cx << CHUNK_SHIFT; x < x1; x++) {
+                        this.physics.update(x, y);
+                    }
                 }
             } else {
-                for (let x = this.width - 1; x >= 0; x--) {
-                    this.physics.update(x, y);
+                for (let cx = chunksX - 1; cx >= 0; cx--) {
+                    if (!awake[chunkRow + cx]) continue;
+                    const x0 = cx << CHUNK_SHIFT;
+                    for (let x = Math.min(this.width, x0 + CHUNK_SIZE) - 1; x >= x0; x--) {
+                        this.physics.update(x, y);
+                    }
                 }
             }
         }
         
+        // Heat flows every tick
+        this.thermal.step();
+        
         // Interactions less frequently for performance
-        if (this.frameCount % 2 === 0) {
+        // Rotate the sampled diagonal so every cell gets checked over time
+        if (this.frameCount % INTERACTION_INTERVAL === 0) {
+            this.circuits.step();
+            
+            const phase = Math.floor(this.frameCount / INTERACTION_INTERVAL) % INTERACTION_PHASES;
             for (let y = this.height - 1; y >= 0; y--) {
-                for (let x = 0; x < this.width; x++) {
-                    if ((x + y) % 3 === 0) {
-                        this.interactions.update(x, y);
+                const chunkRow = (y >> CHUNK_SHIFT) * chunksX;
+                for (let cx = 0; cx < chunksX; cx++) {
+                    if (!awake[chunkRow + cx]) continue;
+                    const x1 = Math.min(this.width, (cx + 1) << CHUNK_SHIFT);
+                    for (let x = cx << CHUNK_SHIFT; x < x1; x++) {
+                        if ((x + y) % INTERACTION_PHASES === phase) {
+                            this.interactions.update(x, y);
+                        }
                     }
                 }
             }
         }
         
+        this.ticking = false;
+        this.statsRecorder.step();
+        
         // Only update dynamic colors (fire, lava, etc.)
         this.updateDynamicColors();
     }
@@ -208,11 +811,10 @@ export class Simulation {
      */
     updateDynamicColors() {
         for (const idx of this.dynamicCells) {
-            const cell = this.grid[idx];
-            const mat = getMaterial(cell.id);
+            const mat = getMaterial(this.ids[idx]);
             
             if (typeof mat.color === 'function') {
-                const color = mat.color();
+                const color = mat.color(this.rng);
                 const colorIdx = idx * 4;
                 this.colorCache[colorIdx] = color[0];
                 this.colorCache[colorIdx + 1] = color[1];
@@ -221,6 +823,101 @@ export class Simulation {
         }
     }
 
+    /**
+     * Set a cell from a drawing tool, remembering what it overwrote
+     */
+    paintCell(x, y, materialId) {
+        const rec = this.recording;
+        if (rec) {
+            const idx = y * this.width + x;
+            if (!rec.seen.has(idx)) {
+                rec.seen.add(idx);
+                rec.indices.push(idx);
+                rec.ids.push(this.ids[idx]);
+                rec.life.push(this.life[idx]);
+                rec.temperature.push(this.temperature[idx]);
+                rec.flags.push(this.flags[idx]);
+            }
+        }
+        this.setCell(x, y, materialId);
+    }
+
+    /**
+     * Start collecting the cells drawing overwrites into one undo entry
+     */
+    beginRecording() {
+        this.recording = { seen: new Set(), indices: [], ids: [], life: [], temperature: [], flags: [] };
+    }
+
+    /**
+     * Finish the undo entry - returns a patch with the before and after
+     * state of every cell drawn over, or null if nothing was drawn
+     */
+    endRecording() {
+        const rec = this.recording;
+        this.recording = null;
+        if (!rec || rec.indices.length === 0) return null;
+        
+        const indices = Uint32Array.from(rec.indices);
+        const after = {
+            ids: new Uint16Array(indices.length),
+            life: new Int16Array(indices.length),
+            temperature: new Float32Array(indices.length),
+            flags: new Uint8Array(indices.length)
+        };
+        for (let i = 0; i < indices.length; i++) {
+            after.ids[i] = this.ids[indices[i]];
+            after.life[i] = this.life[indices[i]];
+            after.temperature[i] = this.temperature[indices[i]];
+            after.flags[i] = this.flags[indices[i]];
+        }
+        
+        return {
+            indices,
+            before: {
+                ids: Uint16Array.from(rec.ids),
+                life: Int16Array.from(rec.life),
+                temperature: Float32Array.from(rec.temperature),
+                flags: Uint8Array.from(rec.flags)
+            },
+            after
+        };
+    }
+
+    /**
+     * Write one side ('before' for undo, 'after' for redo) of a patch back
+     */
+    applyPatch(patch, side) {
+        const cells = patch[side];
+        for (let i = 0; i < patch.indices.length; i++) {
+            this.setIndex(patch.indices[i], cells.ids[i], {
+                life: cells.life[i],
+                temperature: cells.temperature[i],
+                flags: cells.flags[i]
+            });
+        }
+    }
+
+    /**
+     * Flip every switch within a radius (open <-> closed)
+     */
+    toggleSwitches(centerX, centerY, radius) {
+        const radiusSq = radius * radius;
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                if (x < 0 || x >= this.width || y < 0 || y >= this.height) continue;
+                if (dx * dx + dy * dy > radiusSq) continue;
+                
+                const mat = getMaterial(this.ids[y * this.width + x]);
+                if (mat.togglesTo !== undefined) {
+                    this.paintCell(x, y, mat.togglesTo);
+                }
+            }
+        }
+    }
+
     /**
      * Draw material with a brush
      */
@@ -236,13 +933,29 @@ export class Simulation {
                 if (shape === 'circle' && (dx * dx + dy * dy) > radiusSq) continue;
                 
                 // Slightly random for natural look
-                if (Math.random() < 0.85) {
-                    this.setCell(x, y, materialId);
+                if (this.rng.next() < 0.85) {
+                    this.paintCell(x, y, materialId);
                 }
             }
         }
     }
 
+    /**
+     * Fill a rectangle with material
+     */
+    drawRect(x0, y0, x1, y1, materialId) {
+        const minX = Math.max(0, Math.min(x0, x1));
+        const maxX = Math.min(this.width - 1, Math.max(x0, x1));
+        const minY = Math.max(0, Math.min(y0, y1));
+        const maxY = Math.min(this.height - 1, Math.max(y0, y1));
+        
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                this.paintCell(x, y, materialId);
+            }
+        }
+    }
+
     /**
      * Draw a line of material
      */
@@ -252,10 +965,10 @@ export class Simulation {
         const sx = x0 < x1 ? 1 : -1;
         const sy = y0 < y1 ? 1 : -1;
         let err = dx - dy;
-
+        
         while (true) {
             this.drawBrush(x0, y0, materialId, radius);
-
+            
             if (x0 === x1 && y0 === y1) break;
             const e2 = 2 * err;
             if (e2 > -dy) {
@@ -269,6 +982,49 @@ export class Simulation {
         }
     }
 
+    /**
+     * Serialize the world - 'binary' (compact RLE ArrayBuffer) or 'json' (string)
+     */
+    serialize(format = 'binary') {
+        const state = captureState(this);
+        return format === 'json' ? toJSON(state) : toBinary(state);
+    }
+
+    /**
+     * Load a saved world (binary or JSON), replacing the current contents
+     */
+    load(data) {
+        const state = parseSave(data);
+        if (state.width !== this.width || state.height !== this.height) {
+            throw new Error(`Save is ${state.width}x${state.height} but the world is ${this.width}x${this.height}`);
+        }
+        this.restore(state);
+    }
+
+    /**
+     * Replace grid contents and clock with a parsed save state
+     */
+    restore(state) {
+        this.ids.set(state.ids);
+        this.life.set(state.life);
+        this.temperature.set(state.temperature);
+        this.flags.set(state.flags);
+        this.velocityX.fill(0);
+        this.velocityY.fill(0);
+        this.stamp.fill(0);
+        this.pressure.fill(0);
+        this.charge.fill(0);
+        
+        this.rng.setSeed(state.seed);
+        this.rng.state = state.rngState;
+        this.seed = state.seed;
+        this.frameCount = state.frameCount;
+        this.stats.clear();
+        this.statsRecorder.reset();
+        
+        this.rebuildDerivedState();
+    }
+
     /**
      * Get the color buffer for rendering
      */
@@ -281,7 +1037,24 @@ export class Simulation {
      */
     setSpeed(speed) {
         this.speed = speed;
-        this.ticksPerFrame = Math.max(1, Math.round(speed));
+        this.ticksPerFrame = Math.max(1, Math.round(speed * BASE_TICKS_PER_FRAME));
+    }
+
+    /**
+     * Run the ticks for one display frame at the current speed
+     */
+    advance() {
+        if (this.paused) return;
+        for (let i = 0; i < this.ticksPerFrame; i++) {
+            this.tick();
+        }
+    }
+
+    /**
+     * Set pause state
+     */
+    setPaused(paused) {
+        this.paused = paused;
     }
 
     /**
@@ -0,0 +1,226 @@
+/**
+ * Soil Engine for Earth Physics Sandbox
+ * Soil keeps the water soaked into it in the cell's life field. It soaks up
+ * water it touches, wicks it on into drier soil around it and loses it
+ * again to warm air. Soil soaked past what it holds slumps into mud, and
+ * mud that dries out settles back into soil
+ */
+
+import { MATERIAL, MATERIALS, STATE, getMaterial } from './materials.js';
+import { NEIGHBOR_DX, NEIGHBOR_DY } from './reactions.js';
+
+// Moisture a cell of water adds to the soil that soaks it up
+const WATER_PER_CELL = 100;
+
+// Moisture from which soil counts as damp - it holds steeper slopes, sticky
+// soil holds together, and seeds can sprout in it
+export const DAMP = 40;
+
+// Temperature at which soil gives up its water fastest, and the moisture it
+// then loses per check - buried or not
+const BOIL_TEMP = 100;
+const BOIL_LOSS = 10;
+
+// Moisture open soil soaked full, just short of boiling and in full sun,
+// loses per check; drier, cooler or shaded soil loses less
+const EVAPORATION_RATE = 5;
+
+// Chances per check
+const ABSORB_CHANCE = 0.1;          // soil soaks up a touching cell of water
+const WICK_CHANCE = 0.5;            // moisture creeps into drier soil beside it
+
+// Indexes into the neighbor offsets
+const ABOVE = 0;
+
+export class SoilEngine {
+    constructor(simulation) {
+        this.sim = simulation;
+        this.rng = simulation.rng;
+        
+        // Lookup tables by material id (-1 for none)
+        this.capacity = new Int16Array(65536);
+        this.startsWet = new Uint8Array(65536);
+        this.saturatesTo = new Int32Array(65536);
+        this.driesTo = new Int32Array(65536);
+        this.compactsTo = new Int32Array(65536);
+        this.buildTables();
+    }
+
+    /**
+     * Cache which materials soak up water, how much, and what they turn
+     * into when soaked through or dried out
+     * Living plants hold water too, but the plant engine looks after theirs
+     */
+    buildTables() {
+        this.capacity.fill(0);
+        this.startsWet.fill(0);
+        this.saturatesTo.fill(-1);
+        this.driesTo.fill(-1);
+        this.compactsTo.fill(-1);
+        for (const key in MATERIALS) {
+            const mat = MATERIALS[key];
+            const id = mat.id;
+            if (mat.holdsWater && !mat.needsWater) this.capacity[id] = mat.holdsWater;
+            if (mat.saturatesTo !== undefined) this.saturatesTo[id] = mat.saturatesTo;
+            if (mat.driesTo !== undefined) {
+                this.driesTo[id] = mat.driesTo;
+                this.startsWet[id] = 1;
+            }
+            if (mat.compactsTo !== undefined) this.compactsTo[id] = mat.compactsTo;
+        }
+    }
+
+    /**
+     * Moisture a soil cell holds, or 0 for anything else
+     * A life of 0 on a freshly placed wet material (mud) means it is full
+     */
+    moisture(idx, id) {
+        if (!this.capacity[id]) return 0;
+        return this.sim.life[idx] || (this.startsWet[id] ? this.capacity[id] : 0);
+    }
+
+    /**
+     * Store a soil cell's moisture
+     */
+    setMoisture(idx, id, moisture) {
+        // A wet material must not read as freshly placed (full)
+        this.sim.life[idx] = moisture > 0 || !this.startsWet[id] ? moisture : 1;
+    }
+
+    /**
+     * Whether the cell at a grid index is damp soil
+     */
+    isDamp(idx, id) {
+        return this.moisture(idx, id) >= DAMP;
+    }
+
+    /**
+     * Draw up to an amount of water out of a soil cell
+     * Returns the moisture taken
+     */
+    take(idx, id, amount) {
+        const moisture = this.moisture(idx, id);
+        const taken = Math.min(amount, moisture);
+        if (taken > 0) this.setMoisture(idx, id, moisture - taken);
+        return taken;
+    }
+
+    /**
+     * Soak up, wick and dry out one soil cell, and turn it to mud or back
+     * Returns true if the cell or one next to it changed material
+     */
+    update(x, y, id, neighbors) {
+        const capacity = this.capacity[id];
+        if (!capacity) return false;
+        
+        const sim = this.sim;
+        const idx = sim.index(x, y);
+        let moisture = this.moisture(idx, id);
+        const before = moisture;
+        
+        if (capacity - moisture >= WATER_PER_CELL ||
+            (this.saturatesTo[id] >= 0 && moisture < capacity)) {
+            if (this.absorb(x, y, neighbors)) moisture += WATER_PER_CELL;
+        }
+        moisture = this.evaporate(idx, id, moisture, neighbors);
+        
+        if (this.saturatesTo[id] >= 0 && moisture >= capacity) {
+            sim.setCell(x, y, this.saturatesTo[id], { life: moisture, temperature: sim.temperature[idx] });
+            return true;
+        }
+        
+        // Wet material dries into soil once down to half of what that holds
+        const dried = this.driesTo[id];
+        if (dried >= 0 && moisture <= this.capacity[dried] >> 1) {
+            // Buried under a load it compacts instead
+            const above = getMaterial(neighbors[ABOVE]).state;
+            const into = this.compactsTo[id] >= 0 && (above === STATE.POWDER || above === STATE.SOLID) ?
+                this.compactsTo[id] : dried;
+            sim.setCell(x, y, into, { life: moisture, temperature: sim.temperature[idx] });
+            return true;
+        }
+        
+        this.setMoisture(idx, id, moisture);
+        moisture = this.wick(x, y, idx, id, moisture);
+        
+        // Soil still wetting or drying stays awake so it does not wait on a
+        // refresh
+        if (moisture !== before) sim.wakeIndex(idx);
+        return false;
+    }
+
+    /**
+     * Soak up a touching cell of water
+     */
+    absorb(x, y, neighbors) {
+        if (this.rng.next() >= ABSORB_CHANCE) return false;
+        
+        const start = Math.floor(this.rng.next() * 8);
+        for (let k = 0; k < 8; k++) {
+            const i = (start + k) & 7;
+            if (neighbors[i] !== MATERIAL.WATER) continue;
+            this.sim.setCell(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i], MATERIAL.AIR);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Lose moisture to the air - faster the wetter, warmer and sunnier it
+     * is, and fast anywhere at boiling point
+     * Returns the moisture left
+     */
+    evaporate(idx, id, moisture, neighbors) {
+        if (moisture <= 0) return moisture;
+        
+        const temp = this.sim.temperature[idx];
+        if (temp >= BOIL_TEMP) return Math.max(0, moisture - BOIL_LOSS);
+        if (temp <= 0) return moisture;
+        
+        let open = false;
+        for (let i = 0; i < 8; i++) {
+            const state = getMaterial(neighbors[i]).state;
+            if (state === STATE.GAS) {
+                open = true;
+                break;
+            }
+        }
+        if (!open) return moisture;
+        
+        // Whole units, with the fraction left over as a chance of one more
+        const rate = EVAPORATION_RATE * (temp / BOIL_TEMP) * this.sim.weatherEngine.light *
+            moisture / this.capacity[id];
+        const loss = Math.floor(rate) + (this.rng.next() < rate % 1 ? 1 : 0);
+        return Math.max(0, moisture - loss);
+    }
+
+    /**
+     * Draw moisture along into the driest soil beside this cell
+     * Returns the moisture this cell is left with
+     */
+    wick(x, y, idx, id, moisture) {
+        if (moisture <= 0 || this.rng.next() >= WICK_CHANCE) return moisture;
+        
+        const sim = this.sim;
+        let n = -1;
+        let nMoisture = moisture;
+        for (let i = 0; i < 8; i++) {
+            const j = sim.index(x + NEIGHBOR_DX[i], y + NEIGHBOR_DY[i]);
+            if (j < 0 || !this.capacity[sim.ids[j]]) continue;
+            const m = this.moisture(j, sim.ids[j]);
+            if (m < nMoisture) {
+                n = j;
+                nMoisture = m;
+            }
+        }
+        if (n < 0) return moisture;
+        
+        const flow = (moisture - nMoisture) >> 2;
+        if (flow <= 0) return moisture;
+        
+        this.setMoisture(n, sim.ids[n], nMoisture + flow);
+        this.setMoisture(idx, id, moisture - flow);
+        sim.wakeIndex(n);
+        return moisture - flow;
+    }
+}
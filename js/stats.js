@@ -0,0 +1,221 @@
+/**
+ * Statistics for Earth Physics Sandbox
+ * Every few ticks the recorder takes a sample of how many cells of each
+ * material there are and how warm they are on average, with how many cells
+ * turned into or out of each material and how many reactions fired since
+ * the sample before. Samples are kept as a rolling history that exports as
+ * CSV
+ */
+
+import { MATERIAL, getMaterial } from './materials.js';
+
+// Ticks between samples by default, and the range allowed
+export const DEFAULT_STATS_INTERVAL = 30;
+export const MIN_STATS_INTERVAL = 1;
+export const MAX_STATS_INTERVAL = 3600;
+
+// Samples kept by default before the oldest are dropped
+export const MAX_SAMPLES = 600;
+
+/**
+ * Check a sample interval and return it
+ */
+export function validateStatsInterval(interval) {
+    if (!Number.isInteger(interval) || interval < MIN_STATS_INTERVAL || interval > MAX_STATS_INTERVAL) {
+        throw new Error(`Stats interval must be a whole number of ticks between ${MIN_STATS_INTERVAL} and ${MAX_STATS_INTERVAL}, got ${interval}`);
+    }
+    return interval;
+}
+
+/**
+ * Quote a CSV field if it needs it
+ */
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rolling history of samples
+ * Each sample is { tick, reactions, materials } with materials keyed by
+ * id as { count, temperature, formed, consumed }; air is left out
+ */
+export class StatsHistory {
+    constructor(limit = MAX_SAMPLES) {
+        this.samples = [];
+        this.limit = limit;
+    }
+
+    /**
+     * Add a sample, dropping the oldest past the limit
+     */
+    push(sample) {
+        // A sample from before the clock went back (a reset or load) starts
+        // a fresh history
+        const latest = this.latest();
+        if (latest && sample.tick <= latest.tick) this.clear();
+        
+        this.samples.push(sample);
+        if (this.samples.length > this.limit) this.samples.shift();
+    }
+
+    /**
+     * Forget every sample
+     */
+    clear() {
+        this.samples.length = 0;
+    }
+
+    /**
+     * The newest sample, or null before the first
+     */
+    latest() {
+        return this.samples.length ? this.samples[this.samples.length - 1] : null;
+    }
+
+    /**
+     * Ids of every material in any kept sample, in id order
+     */
+    materialIds() {
+        const ids = new Set();
+        for (const sample of this.samples) {
+            for (const id in sample.materials) ids.add(Number(id));
+        }
+        return [...ids].sort((a, b) => a - b);
+    }
+
+    /**
+     * One material's value for a key ('count', 'temperature', 'formed' or
+     * 'consumed') over the kept samples - 0 where it was absent, or null for
+     * the temperature of a material with no cells
+     */
+    series(id, key) {
+        return this.samples.map(sample => {
+            const entry = sample.materials[id];
+            if (key === 'temperature') return entry && entry.count ? entry.temperature : null;
+            return entry ? entry[key] : 0;
+        });
+    }
+
+    /**
+     * The kept samples as CSV, one row per sample and four columns per
+     * material
+     */
+    toCSV() {
+        const ids = this.materialIds();
+        const header = ['tick', 'reactions'];
+        for (const id of ids) {
+            const name = getMaterial(id).name;
+            header.push(`${name} count`, `${name} avg temp`, `${name} formed`, `${name} consumed`);
+        }
+        
+        const rows = [header.map(csvField).join(',')];
+        for (const sample of this.samples) {
+            const row = [sample.tick, sample.reactions];
+            for (const id of ids) {
+                const entry = sample.materials[id];
+                if (entry) {
+                    row.push(entry.count, entry.count ? entry.temperature.toFixed(1) : '', entry.formed, entry.consumed);
+                } else {
+                    row.push(0, '', 0, 0);
+                }
+            }
+            rows.push(row.join(','));
+        }
+        return rows.join('\n') + '\n';
+    }
+}
+
+export class StatsRecorder {
+    constructor(simulation) {
+        this.sim = simulation;
+        
+        // Called with each new sample (the worker forwards them)
+        this.onsample = null;
+        
+        // Conversions and reactions since the last sample, by material id
+        this.formed = new Uint32Array(65536);
+        this.consumed = new Uint32Array(65536);
+        this.changed = [];
+        this.reactions = 0;
+        
+        // Scratch tallies for taking a sample
+        this.counts = new Uint32Array(65536);
+        this.heat = new Float64Array(65536);
+    }
+
+    /**
+     * Note a cell turning from one material into another during a tick
+     */
+    recordChange(fromId, toId) {
+        if (this.formed[toId] === 0 && this.consumed[toId] === 0) this.changed.push(toId);
+        this.formed[toId]++;
+        if (this.formed[fromId] === 0 && this.consumed[fromId] === 0) this.changed.push(fromId);
+        this.consumed[fromId]++;
+    }
+
+    /**
+     * Note a row of the reaction table firing
+     */
+    recordReaction() {
+        this.reactions++;
+    }
+
+    /**
+     * Take a sample if one is due this tick
+     */
+    step() {
+        if (this.sim.frameCount % this.sim.statsInterval === 0) this.sample();
+    }
+
+    /**
+     * Tally the grid and the events since the last sample into the history
+     */
+    sample() {
+        const { ids, temperature, size } = this.sim;
+        const { counts, heat } = this;
+        const present = [];
+        for (let i = 0; i < size; i++) {
+            const id = ids[i];
+            if (id === MATERIAL.AIR) continue;
+            if (counts[id] === 0) present.push(id);
+            counts[id]++;
+            heat[id] += temperature[i];
+        }
+        
+        const materials = {};
+        for (const id of present) {
+            materials[id] = { count: counts[id], temperature: heat[id] / counts[id], formed: 0, consumed: 0 };
+            counts[id] = 0;
+            heat[id] = 0;
+        }
+        for (const id of this.changed) {
+            if (id !== MATERIAL.AIR) {
+                const entry = materials[id] ?? (materials[id] = { count: 0, temperature: 0, formed: 0, consumed: 0 });
+                entry.formed = this.formed[id];
+                entry.consumed = this.consumed[id];
+            }
+            this.formed[id] = 0;
+            this.consumed[id] = 0;
+        }
+        
+        const sample = { tick: this.sim.frameCount, reactions: this.reactions, materials };
+        this.changed.length = 0;
+        this.reactions = 0;
+        
+        this.sim.stats.push(sample);
+        if (this.onsample) this.onsample(sample);
+    }
+
+    /**
+     * Drop the events counted since the last sample
+     */
+    reset() {
+        for (const id of this.changed) {
+            this.formed[id] = 0;
+            this.consumed[id] = 0;
+        }
+        this.changed.length = 0;
+        this.reactions = 0;
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Thermal Engine for Earth Physics Sandbox
+ * Diffuses heat between neighboring cells weighted by conductivity
+ */
+
+import { MATERIAL, MATERIALS } from './materials.js';
+import { CHUNK_SHIFT, CHUNK_SIZE } from './simulation.js';
+
+// Temperature the open air relaxes back toward, unless the weather sets
+// another
+export const AMBIENT_TEMP = 20;
+
+// Fraction of the temperature difference exchanged per tick at conductivity 1
+const DIFFUSION_RATE = 0.25;
+
+// How quickly air drifts back to ambient
+const AIR_RELAX_RATE = 0.02;
+
+// Heat flow (degrees per tick) below which a region may fall asleep
+const WAKE_THRESHOLD = 0.01;
+
+export class ThermalEngine {
+    constructor(simulation) {
+        this.sim = simulation;
+        
+        // Per-material lookup tables, indexed by material id
+        this.conductivity = new Float32Array(65536);
+        this.emitTemp = new Float32Array(65536);
+        this.buildTables();
+        
+        // Air temperature for this step, from the weather
+        this.airTemp = AMBIENT_TEMP;
+    }
+
+    /**
+     * Cache conductivity and heat emission per material id
+     */
+    buildTables() {
+        this.conductivity.fill(0);
+        this.emitTemp.fill(0);
+        for (const key in MATERIALS) {
+            const mat = MATERIALS[key];
+            this.conductivity[mat.id] = mat.conductivity || 0;
+            // Hot sources keep emitting: never drop below their own temperature
+            this.emitTemp[mat.id] = mat.emitsHeat ? mat.temperature : 0;
+        }
+    }
+
+    /**
+     * Run one heat diffusion pass over the awake chunks
+     */
+    step() {
+        const { width, height, chunksX, chunksY, chunkAwake } = this.sim;
+        this.airTemp = this.sim.weatherEngine.airTemp;
+        
+        for (let cy = 0; cy < chunksY; cy++) {
+            for (let cx = 0; cx < chunksX; cx++) {
+                if (!chunkAwake[cy * chunksX + cx]) continue;
+                
+                const x0 = cx << CHUNK_SHIFT;
+                const y0 = cy << CHUNK_SHIFT;
+                const x1 = Math.min(width, x0 + CHUNK_SIZE);
+                const y1 = Math.min(height, y0 + CHUNK_SIZE);
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) {
+                        this.updateCell(x, y);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Emit, relax and exchange heat for one cell
+     */
+    updateCell(x, y) {
+        const { width, height, ids, temperature } = this.sim;
+        const i = y * width + x;
+        const id = ids[i];
+        const emit = this.emitTemp[id];
+        
+        if (emit && temperature[i] < emit) {
+            temperature[i] = emit;
+            this.sim.wakeIndex(i);
+        } else if (id === MATERIAL.AIR && temperature[i] !== this.airTemp) {
+            const diff = this.airTemp - temperature[i];
+            temperature[i] = Math.abs(diff) < 0.05 ? this.airTemp : temperature[i] + diff * AIR_RELAX_RATE;
+        }
+        
+        const k = this.conductivity[id];
+        
+        // Exchange with right and lower neighbors so each pair is visited once
+        if (x + 1 < width) {
+            this.exchange(i, i + 1, k);
+        } else if (this.sim.wrapX) {
+            this.exchange(i, i - x, k);
+        }
+        if (y + 1 < height) {
+            this.exchange(i, i + width, k);
+        } else if (this.sim.wrapY) {
+            this.exchange(i, x, k);
+        }
+    }
+
+    /**
+     * Move heat between two cells (harmonic mean of conductivities)
+     * Noticeable flows keep both cells' chunks awake
+     */
+    exchange(i, j, k) {
+        const temperature = this.sim.temperature;
+        const diff = temperature[i] - temperature[j];
+        if (diff === 0) return;
+        
+        const kj = this.conductivity[this.sim.ids[j]];
+        if (k + kj === 0) return;
+        
+        const flow = diff * DIFFUSION_RATE * (2 * k * kj) / (k + kj);
+        temperature[i] -= flow;
+        temperature[j] += flow;
+        
+        if (flow > WAKE_THRESHOLD || flow < -WAKE_THRESHOLD) {
+            this.sim.wakeIndex(i);
+            this.sim.wakeIndex(j);
+        }
+    }
+}
@@ -3,7 +3,33 @@
  * Manages material palette, tools, and controls
  */
 
-import { MATERIAL, MATERIALS, CATEGORIES, getColor } from './materials.js';
+import { MATERIAL, MATERIALS, CATEGORIES, STATE, getColor, getMaterial } from './materials.js';
+import { exportMaterialPreset, getColorSpec, isEdited } from './registry.js';
+
+// Memory the undo/redo history may hold before dropping the oldest entries
+const UNDO_MEMORY_BUDGET = 32 * 1024 * 1024;
+
+// Speed (cells per tick) the impulse tool gives cells at its center
+const IMPULSE_STRENGTH = 4;
+
+// Numeric properties shown in the material editor, where they apply
+const EDITOR_FIELDS = [
+    { key: 'density', label: 'Density', step: 1 },
+    { key: 'viscosity', label: 'Viscosity', step: 1, min: 1, when: mat => mat.state === STATE.LIQUID },
+    { key: 'conductivity', label: 'Conductivity', step: 0.01, min: 0, max: 1 },
+    { key: 'hardness', label: 'Hardness', step: 1, min: 0 },
+    { key: 'lifetime', label: 'Lifetime', step: 1, min: 0, when: mat => mat.lifetime !== undefined },
+    { key: 'holdsWater', label: 'Water Held', step: 1, min: 0, when: mat => mat.needsWater || mat.holdsWater !== undefined },
+    { key: 'temperature', label: 'Temperature', step: 1 },
+    { key: 'burnTemp', label: 'Burn Temp', step: 1, when: mat => mat.flammable || mat.burnTemp !== undefined },
+    { key: 'fuel', label: 'Fuel', step: 100, min: 0, when: mat => mat.flammable || mat.fuel !== undefined },
+    { key: 'burnTime', label: 'Burn Time', step: 1, min: 0, when: mat => mat.flammable || mat.burnTime !== undefined },
+    { key: 'wiltTemp', label: 'Wilt Temp', step: 1, when: mat => mat.wiltTemp !== undefined },
+    { key: 'meltTemp', label: 'Melt Temp', step: 1, when: mat => mat.meltsTo !== undefined },
+    { key: 'freezeTemp', label: 'Freeze Temp', step: 1, when: mat => mat.freezesTo !== undefined },
+    { key: 'evaporateTemp', label: 'Boil Temp', step: 1, when: mat => mat.evaporatesTo !== undefined },
+    { key: 'condenseTemp', label: 'Condense Temp', step: 1, when: mat => mat.condensesTo !== undefined }
+];
 
 export class UIController {
     constructor(simulation, renderer) {
@@ -24,10 +50,28 @@ export class UIController {
         // Line tool state
         this.lineStart = null;
         
+        // Undo/redo history - one patch per stroke, line, rect or erase
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyBytes = 0;
+        
+        // Called after the world is resized so the app can refit the canvas
+        this.onWorldResize = null;
+        
+        // Statistics panel rows by material id
+        this.statsRows = new Map();
+        
         // Initialize UI
         this.initMaterialPalette();
         this.initToolButtons();
         this.initControls();
+        this.initWorldControls();
+        this.initGravityControls();
+        this.initWeatherControls();
+        this.initSceneControls();
+        this.initMaterialEditor();
+        this.initHistoryControls();
+        this.initStatsControls();
         this.initInputHandlers();
         
         // Start with sand selected
@@ -38,23 +82,39 @@ export class UIController {
      * Initialize material palette
      */
     initMaterialPalette() {
-        const grid = document.getElementById('material-grid');
-        const tabs = document.querySelectorAll('.tab-btn');
-        
-        // Tab switching
-        tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                tabs.forEach(t => t.classList.remove('active'));
-                tab.classList.add('active');
-                this.currentCategory = tab.dataset.category;
-                this.renderMaterialGrid();
-            });
+        const tabBar = document.getElementById('material-tabs');
+        
+        // Tab switching - delegated, since material packs can add tabs
+        tabBar.addEventListener('click', (e) => {
+            const tab = e.target.closest('.tab-btn');
+            if (!tab) return;
+            tabBar.querySelectorAll('.tab-btn').forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+            this.currentCategory = tab.dataset.category;
+            this.renderMaterialGrid();
         });
         
         // Initial render
+        this.renderCategoryTabs();
         this.renderMaterialGrid();
     }
 
+    /**
+     * Add a tab for any category registered materials introduced
+     */
+    renderCategoryTabs() {
+        const tabBar = document.getElementById('material-tabs');
+        for (const category in CATEGORIES) {
+            if (tabBar.querySelector(`[data-category="${category}"]`)) continue;
+            
+            const tab = document.createElement('button');
+            tab.className = 'tab-btn';
+            tab.dataset.category = category;
+            tab.textContent = category.replace(/-/g, ' ');
+            tabBar.appendChild(tab);
+        }
+    }
+
     /**
      * SVG Icons for materials
      */
@@ -67,19 +127,35 @@ export class UIController {
             'Clay': '<circle cx="12" cy="12" r="8" stroke="currentColor" stroke-width="2" fill="none"/><path d="M8 12h8" stroke="currentColor" stroke-width="2"/>',
             'Metal': '<rect x="4" y="4" width="16" height="16" rx="2" stroke="currentColor" stroke-width="2" fill="none"/><path d="M4 10h16 M10 4v16" stroke="currentColor" stroke-width="2"/>',
             'Ice': '<path d="M12 2v20 M2 12h20 M5 5l14 14 M5 19L19 5" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>',
+            'Snow': '<path d="M12 3v18 M4.2 7.5l15.6 9 M4.2 16.5l15.6-9 M10 4l2 2 2-2 M10 20l2-2 2 2" stroke="currentColor" stroke-width="2" stroke-linecap="round" fill="none"/>',
+            'Glass': '<rect x="5" y="3" width="14" height="18" rx="1" stroke="currentColor" stroke-width="2" fill="none"/><path d="M9 8l4-3 M9 13l6-5" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>',
+            'Basalt': '<path d="M4 20V8l4-3 4 3 4-3 4 3v12z M8 5v15 M12 8v12 M16 5v15" stroke="currentColor" stroke-width="2" stroke-linejoin="round" fill="none"/>',
             'Water': '<path d="M12 2s-8 9-8 13a8 8 0 0 0 16 0c0-4-8-13-8-13z" stroke="currentColor" stroke-width="2" fill="none"/>',
             'Mud': '<path d="M12 2s-8 9-8 13a8 8 0 0 0 16 0c0-4-8-13-8-13z M8 14h2 M14 16h2" stroke="currentColor" stroke-width="2" fill="none"/>',
             'Oil': '<path d="M12 2s-6 8-6 12a6 6 0 0 0 12 0c0-4-6-12-6-12z" stroke="currentColor" stroke-width="2" fill="none"/><path d="M12 10v4" stroke="currentColor" stroke-width="2"/>',
             'Lava': '<path d="M12 20a8 8 0 1 0 0-16 8 8 0 0 0 0 16z M12 4v4 M8 8l2 2 M16 8l-2 2" stroke="currentColor" stroke-width="2" fill="none"/>',
+            'Molten Glass': '<path d="M4 20h16 M6 20c0-4 3-5 3-9s-2-5-2-7 M18 20c0-4-3-5-3-9s2-5 2-7" stroke="currentColor" stroke-width="2" stroke-linecap="round" fill="none"/>',
+            'Molten Metal': '<path d="M3 6h12l-2 5H5z M9 11v3 M9 17v1 M5 21h14" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" fill="none"/>',
             'Steam': '<path d="M8 16c-2 0-4-2-4-5s3-5 5-3c.5-2 2.5-3 4.5-2 2-2 5.5-1 5.5 2.5 0 1 .5 2 .5 2.5 0 3-2.5 5-5.5 5H8z" stroke="currentColor" stroke-width="2" fill="none"/>',
+            'Cloud': '<path d="M7 15c-2 0-3.5-1.5-3.5-3.5S5 8 7 8c.5-2.5 2.5-4 5-4s4.5 1.5 5 4c2 0 3.5 1.5 3.5 3.5S19 15 17 15z M8 18l-1 3 M12 18l-1 3 M16 18l-1 3" stroke="currentColor" stroke-width="2" stroke-linecap="round" fill="none"/>',
             'Smoke': '<path d="M4 18c0-4 4-5 4-8 0-3 2-5 5-5 5 0 6 5 4 8 3 .5 3 5 1 5H4z" stroke="currentColor" stroke-width="2" fill="none"/>',
             'Gas': '<circle cx="8" cy="8" r="4" stroke="currentColor" stroke-width="2"/><circle cx="16" cy="14" r="3" stroke="currentColor" stroke-width="2"/><circle cx="14" cy="6" r="1" fill="currentColor"/>',
             'Grass': '<path d="M4 20v-8c0-2 2-4 4-4s4 2 4 4v8 M12 20v-6c0-2 2-4 4-4s4 2 4 4v6" stroke="currentColor" stroke-width="2" fill="none"/>',
             'Plant': '<path d="M12 20V4 M12 10c0-4 4-6 6-4s2 6-2 6h-4 M12 14c0-3-4-5-6-3s-2 5 2 5h4" stroke="currentColor" stroke-width="2" fill="none"/>',
             'Wood': '<path d="M6 2h12v20H6z M6 8h12 M6 14h12" stroke="currentColor" stroke-width="2" fill="none"/>',
             'Charcoal': '<path d="M4 6h16v12H4z M6 10h2 M14 14h2 M10 8h4" stroke="currentColor" stroke-width="2" fill="none"/>',
+            'Seed': '<path d="M12 3c-4 4-6 8-6 11a6 6 0 0 0 12 0c0-3-2-7-6-11z M12 10v8" stroke="currentColor" stroke-width="2" stroke-linecap="round" fill="none"/>',
+            'Root': '<path d="M12 2v9 M12 11l-5 5v5 M12 11l5 4-2 6 M12 11v10" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" fill="none"/>',
+            'Leaf': '<path d="M5 19C5 10 10 5 20 4c-1 10-6 15-15 15z M5 19l8-8" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" fill="none"/>',
+            'Dead Plant': '<path d="M12 21v-9 M12 12c-3 0-6-2-7-6 3 0 6 2 7 6z M12 15c2 0 5-1 6 3-3 0-5-1-6-3z M7 21h10" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" fill="none"/>',
             'Fire': '<path d="M12 2c0 5-5 8-5 13 0 3 2 5 5 5s5-2 5-5c0-5-5-8-5-13z" stroke="currentColor" stroke-width="2" fill="none"/><path d="M12 12c-1 2-1 4 0 5 1-1 1-3 0-5z" fill="currentColor"/>',
             'Electricity': '<path d="M13 2L6 11h6l-3 11 10-10h-6l5-10z" stroke="currentColor" stroke-width="2" stroke-linejoin="round" fill="none"/>',
+            'Battery': '<rect x="3" y="7" width="16" height="10" rx="1" stroke="currentColor" stroke-width="2" fill="none"/><path d="M21 10v4 M7 12h4 M9 10v4" stroke="currentColor" stroke-width="2"/>',
+            'Ground': '<path d="M12 3v9 M5 12h14 M8 16h8 M10.5 20h3" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>',
+            'Switch': '<path d="M3 16h5 M16 16h5 M8 16l8-6" stroke="currentColor" stroke-width="2" stroke-linecap="round"/><circle cx="8" cy="16" r="1.5" fill="currentColor"/>',
+            'Switch On': '<path d="M3 14h18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/><circle cx="8" cy="14" r="1.5" fill="currentColor"/><circle cx="16" cy="14" r="1.5" fill="currentColor"/>',
+            'Sensor': '<circle cx="12" cy="12" r="3" stroke="currentColor" stroke-width="2"/><path d="M6 6a8.5 8.5 0 0 0 0 12 M18 6a8.5 8.5 0 0 1 0 12" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round"/>',
+            'Diode': '<path d="M2 12h6 M16 12h6 M8 6v12l8-6z M16 6v12" stroke="currentColor" stroke-width="2" stroke-linejoin="round" fill="none"/>',
             'Explosion': '<path d="M12 2l2 6 6 2-6 2 2 6-6-2-6 2 2-6-6-2 6-2z" stroke="currentColor" stroke-width="2" fill="none"/>'
         };
         return icons[matName] || '<circle cx="12" cy="12" r="8" stroke="currentColor" stroke-width="2"/>';
@@ -99,13 +175,19 @@ export class UIController {
             if (!mat) return;
             
             const btn = document.createElement('button');
-            btn.className = `material-btn material-${mat.name.toLowerCase()}`;
+            btn.className = `material-btn material-${mat.name.toLowerCase().replace(/\s+/g, '-')}`;
             btn.dataset.material = matId;
             
+            // Registered or recolored materials - shade from their color
+            if ((mat.custom || isEdited(matId)) && getColorSpec(mat)) {
+                const [r, g, b] = getColorSpec(mat).base;
+                btn.style.background = `linear-gradient(145deg, rgb(${r}, ${g}, ${b}), rgb(${r * 0.75 | 0}, ${g * 0.75 | 0}, ${b * 0.75 | 0}))`;
+            }
+            
             // Icon
             const icon = document.createElement('div');
             icon.className = 'material-icon';
-            icon.innerHTML = `<svg viewBox="0 0 24 24" fill="none">${this.getIcon(mat.name)}</svg>`;
+            icon.innerHTML = `<svg viewBox="0 0 24 24" fill="none">${mat.icon ?? this.getIcon(mat.name)}</svg>`;
             btn.appendChild(icon);
             
             // Add name label
@@ -137,6 +219,121 @@ export class UIController {
         document.querySelectorAll('.material-btn').forEach(btn => {
             btn.classList.toggle('active', parseInt(btn.dataset.material) === matId);
         });
+        this.renderMaterialEditor();
+    }
+
+    /**
+     * Initialize the material editor's revert and export buttons
+     */
+    initMaterialEditor() {
+        document.getElementById('btn-editor-revert').addEventListener('click', () => {
+            this.sim.revertMaterial(this.selectedMaterial);
+            this.renderMaterialEditor();
+            this.renderMaterialGrid();
+        });
+        document.getElementById('btn-editor-export').addEventListener('click', () => {
+            const preset = JSON.stringify(exportMaterialPreset(), null, 2);
+            this.downloadFile(preset, 'application/json', `materials-${this.timestamp()}.json`);
+        });
+    }
+
+    /**
+     * Show the selected material's editable properties
+     * Every change goes straight to the simulation; a rejected value is
+     * marked on its field with the reason as a tooltip
+     */
+    renderMaterialEditor() {
+        const mat = MATERIALS[this.selectedMaterial];
+        const fields = document.getElementById('editor-fields');
+        fields.innerHTML = '';
+        document.getElementById('editor-material').textContent = mat.name;
+        document.getElementById('editor-edited').hidden = !isEdited(mat.id);
+        
+        for (const field of EDITOR_FIELDS) {
+            if (field.when && !field.when(mat)) continue;
+            
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'number-input';
+            input.step = field.step;
+            if (field.min !== undefined) input.min = field.min;
+            if (field.max !== undefined) input.max = field.max;
+            input.value = mat[field.key] ?? (field.key === 'viscosity' ? 1 : '');
+            input.addEventListener('change', () => {
+                this.editMaterial(input, { [field.key]: parseFloat(input.value) });
+            });
+            fields.appendChild(this.editorLabel(field.label, input));
+        }
+        
+        // Color - animated colors (fire, lava) have no single base to edit
+        const spec = getColorSpec(mat);
+        if (spec) {
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = '#' + spec.base.map(c => c.toString(16).padStart(2, '0')).join('');
+            
+            const variance = document.createElement('input');
+            variance.type = 'number';
+            variance.className = 'number-input';
+            variance.min = 0;
+            variance.step = 1;
+            variance.value = spec.variance;
+            
+            const apply = (input) => {
+                const hex = parseInt(color.value.slice(1), 16);
+                const base = [hex >> 16, (hex >> 8) & 255, hex & 255];
+                this.editMaterial(input, { color: { base, variance: parseFloat(variance.value) } });
+            };
+            color.addEventListener('change', () => apply(color));
+            variance.addEventListener('change', () => apply(variance));
+            fields.appendChild(this.editorLabel('Color', color));
+            fields.appendChild(this.editorLabel('Variance', variance));
+        } else {
+            const note = document.createElement('span');
+            note.className = 'editor-note';
+            note.textContent = 'Animated color - not editable';
+            fields.appendChild(note);
+        }
+        
+        const flammable = document.createElement('input');
+        flammable.type = 'checkbox';
+        flammable.checked = !!mat.flammable;
+        flammable.addEventListener('change', () => {
+            this.editMaterial(flammable, { flammable: flammable.checked });
+            this.renderMaterialEditor();
+        });
+        const toggle = this.editorLabel('Flammable', flammable);
+        toggle.className = 'toggle-label';
+        toggle.append(toggle.firstChild);
+        fields.appendChild(toggle);
+    }
+
+    /**
+     * Wrap an editor input in its label
+     */
+    editorLabel(text, input) {
+        const label = document.createElement('label');
+        const span = document.createElement('span');
+        span.textContent = text;
+        label.append(span, input);
+        return label;
+    }
+
+    /**
+     * Apply one edit from the material editor
+     */
+    editMaterial(input, changes) {
+        try {
+            this.sim.updateMaterial(this.selectedMaterial, changes);
+            input.classList.remove('invalid');
+            input.title = '';
+        } catch (e) {
+            input.classList.add('invalid');
+            input.title = e.message;
+            return;
+        }
+        document.getElementById('editor-edited').hidden = false;
+        if (changes.color) this.renderMaterialGrid();
     }
 
     /**
@@ -200,19 +397,366 @@ export class UIController {
         btnReset.addEventListener('click', () => {
             if (confirm('Reset the simulation? This will clear everything.')) {
                 this.sim.reset();
+                this.clearHistory();
             }
         });
         
         // Overlays
         document.getElementById('overlay-heat').addEventListener('change', (e) => {
             this.renderer.showHeat = e.target.checked;
+            this.updateOverlayFields();
         });
         
         document.getElementById('overlay-pressure').addEventListener('change', (e) => {
             this.renderer.showPressure = e.target.checked;
+            this.updateOverlayFields();
+        });
+        
+        document.getElementById('overlay-charge').addEventListener('change', (e) => {
+            this.renderer.showCharge = e.target.checked;
+            this.updateOverlayFields();
+        });
+        
+        document.getElementById('overlay-chunks').addEventListener('change', (e) => {
+            this.renderer.showChunks = e.target.checked;
+            this.updateOverlayFields();
         });
     }
 
+    /**
+     * Ask a worker-hosted simulation to send the grid fields the overlays read
+     */
+    updateOverlayFields() {
+        if (!this.sim.isRemote) return;
+        
+        const fields = [];
+        if (this.renderer.showHeat) fields.push('temperature');
+        if (this.renderer.showPressure) fields.push('pressure');
+        if (this.renderer.showCharge) fields.push('charge');
+        if (this.renderer.showChunks) fields.push('chunkAwake');
+        this.sim.setFields(fields);
+    }
+
+    /**
+     * Initialize world size presets, custom size inputs and apply button
+     */
+    initWorldControls() {
+        const preset = document.getElementById('world-preset');
+        const custom = document.getElementById('world-custom');
+        const widthInput = document.getElementById('world-width');
+        const heightInput = document.getElementById('world-height');
+        const mode = document.getElementById('world-mode');
+        
+        preset.addEventListener('change', () => {
+            custom.hidden = preset.value !== 'custom';
+        });
+        
+        document.getElementById('btn-world-apply').addEventListener('click', () => {
+            let width, height;
+            if (preset.value === 'custom') {
+                width = Number(widthInput.value);
+                height = Number(heightInput.value);
+            } else {
+                [width, height] = preset.value.split('x').map(Number);
+                widthInput.value = width;
+                heightInput.value = height;
+            }
+            this.resizeWorld(width, height, mode.value);
+        });
+        
+        // Edge modes apply immediately; wrap pairs opposite edges so resync all
+        const edgeSelects = document.querySelectorAll('.boundary-controls select');
+        edgeSelects.forEach(select => {
+            select.addEventListener('change', () => {
+                this.sim.setBoundary(select.dataset.edge, select.value);
+                edgeSelects.forEach(s => {
+                    s.value = this.sim.boundary[s.dataset.edge];
+                });
+            });
+        });
+    }
+
+    /**
+     * Initialize gravity direction buttons and angle/strength sliders
+     * Everything applies live, so gravity can be swung round mid-pour
+     */
+    initGravityControls() {
+        const angleSlider = document.getElementById('gravity-angle');
+        const angleValue = document.getElementById('gravity-angle-value');
+        const strengthSlider = document.getElementById('gravity-strength');
+        const strengthValue = document.getElementById('gravity-strength-value');
+        const buttons = document.querySelectorAll('.gravity-btn');
+        
+        const apply = () => {
+            const angle = parseInt(angleSlider.value);
+            const strength = parseFloat(strengthSlider.value);
+            this.sim.setGravity(angle, strength);
+            angleValue.textContent = `${angle}°`;
+            strengthValue.textContent = strength === 0 ? 'Zero-G' : `${strength}x`;
+            buttons.forEach(btn => {
+                btn.classList.toggle('active', Number(btn.dataset.angle) === angle);
+            });
+        };
+        
+        buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                angleSlider.value = btn.dataset.angle;
+                if (parseFloat(strengthSlider.value) === 0) {
+                    strengthSlider.value = 1;
+                }
+                apply();
+            });
+        });
+        
+        angleSlider.addEventListener('input', apply);
+        strengthSlider.addEventListener('input', apply);
+        
+        document.getElementById('btn-zero-g').addEventListener('click', () => {
+            strengthSlider.value = 0;
+            apply();
+        });
+    }
+
+    /**
+     * Initialize the ambient temperature slider and day/night toggle
+     */
+    initWeatherControls() {
+        const ambientSlider = document.getElementById('weather-ambient');
+        const ambientValue = document.getElementById('weather-ambient-value');
+        const dayNightToggle = document.getElementById('weather-daynight');
+        
+        const apply = () => {
+            const ambient = parseInt(ambientSlider.value);
+            this.sim.setWeather(ambient, dayNightToggle.checked);
+            ambientValue.textContent = `${ambient}°`;
+        };
+        
+        ambientSlider.addEventListener('input', apply);
+        dayNightToggle.addEventListener('change', apply);
+    }
+
+    /**
+     * Resize the world and rebuild the render buffers to match
+     */
+    resizeWorld(width, height, mode) {
+        if (width === this.sim.width && height === this.sim.height && mode !== 'clear') return;
+        
+        try {
+            this.sim.resize(width, height, mode);
+        } catch (e) {
+            alert(e.message);
+            return;
+        }
+        
+        this.renderer.resizeBuffers();
+        this.clearHistory();
+        this.lineStart = null;
+        if (this.onWorldResize) this.onWorldResize(width, height);
+    }
+
+    /**
+     * Initialize scene save/load, material pack and reaction table buttons,
+     * and drag-and-drop loading
+     */
+    initSceneControls() {
+        const formatSelect = document.getElementById('save-format');
+        document.getElementById('btn-save').addEventListener('click', () => {
+            this.saveScene(formatSelect.value);
+        });
+        
+        const fileInput = document.getElementById('load-file');
+        document.getElementById('btn-load').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) {
+                this.loadSceneFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+        
+        const materialsInput = document.getElementById('materials-file');
+        document.getElementById('btn-materials').addEventListener('click', () => materialsInput.click());
+        materialsInput.addEventListener('change', () => {
+            if (materialsInput.files[0]) {
+                this.loadMaterialPackFile(materialsInput.files[0]);
+            }
+            materialsInput.value = '';
+        });
+        
+        const reactionsInput = document.getElementById('reactions-file');
+        document.getElementById('btn-reactions').addEventListener('click', () => reactionsInput.click());
+        reactionsInput.addEventListener('change', () => {
+            if (reactionsInput.files[0]) {
+                this.loadReactionsFile(reactionsInput.files[0]);
+            }
+            reactionsInput.value = '';
+        });
+        
+        // Drop a save file anywhere on the canvas area
+        const area = document.querySelector('.simulation-area');
+        area.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            area.classList.add('drop-target');
+        });
+        area.addEventListener('dragleave', () => area.classList.remove('drop-target'));
+        area.addEventListener('drop', (e) => {
+            e.preventDefault();
+            area.classList.remove('drop-target');
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                this.loadSceneFile(file);
+            }
+        });
+    }
+
+    /**
+     * Save the scene and offer it as a download
+     */
+    async saveScene(format) {
+        const data = await this.sim.serialize(format);
+        const isJSON = format === 'json';
+        this.downloadFile(data, isJSON ? 'application/json' : 'application/octet-stream',
+            `scene-${this.timestamp()}.${isJSON ? 'json' : 'epsb'}`);
+    }
+
+    /**
+     * Offer data as a file download
+     */
+    downloadFile(data, type, filename) {
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Current time for file names, e.g. 2024-05-01-12-30-00
+     */
+    timestamp() {
+        return new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    }
+
+    /**
+     * Load a scene from a dropped or picked file
+     */
+    async loadSceneFile(file) {
+        try {
+            await this.sim.load(await file.arrayBuffer());
+            this.clearHistory();
+        } catch (e) {
+            alert(`Could not load "${file.name}": ${e.message}`);
+        }
+    }
+
+    /**
+     * Register the materials in a picked material pack and show them
+     */
+    async loadMaterialPackFile(file) {
+        try {
+            this.sim.loadMaterialPack(await file.text());
+        } catch (e) {
+            alert(`Could not load materials from "${file.name}": ${e.message}`);
+            return;
+        }
+        this.renderCategoryTabs();
+        this.renderMaterialGrid();
+        this.renderMaterialEditor();
+    }
+
+    /**
+     * Replace the reaction table from a picked JSON file
+     */
+    async loadReactionsFile(file) {
+        try {
+            this.sim.setReactions(await file.text());
+        } catch (e) {
+            alert(`Could not load reactions from "${file.name}": ${e.message}`);
+        }
+    }
+
+    /**
+     * Initialize undo/redo buttons
+     */
+    initHistoryControls() {
+        document.getElementById('btn-undo').addEventListener('click', () => this.undo());
+        document.getElementById('btn-redo').addEventListener('click', () => this.redo());
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Size of a patch in bytes, for the memory budget
+     */
+    patchBytes(patch) {
+        return patch.indices.byteLength +
+            patch.before.ids.byteLength + patch.before.life.byteLength +
+            patch.before.temperature.byteLength + patch.before.flags.byteLength +
+            patch.after.ids.byteLength + patch.after.life.byteLength +
+            patch.after.temperature.byteLength + patch.after.flags.byteLength;
+    }
+
+    /**
+     * Record a finished drawing operation
+     */
+    pushHistory(patch) {
+        if (!patch) return;
+        
+        this.undoStack.push(patch);
+        this.historyBytes += this.patchBytes(patch);
+        
+        // A new edit invalidates anything that could be redone
+        for (const entry of this.redoStack) {
+            this.historyBytes -= this.patchBytes(entry);
+        }
+        this.redoStack = [];
+        
+        // Drop the oldest entries once over budget (always keep the latest)
+        while (this.historyBytes > UNDO_MEMORY_BUDGET && this.undoStack.length > 1) {
+            this.historyBytes -= this.patchBytes(this.undoStack.shift());
+        }
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Undo the last drawing operation
+     */
+    undo() {
+        const patch = this.undoStack.pop();
+        if (!patch) return;
+        this.sim.applyPatch(patch, 'before');
+        this.redoStack.push(patch);
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Redo the last undone drawing operation
+     */
+    redo() {
+        const patch = this.redoStack.pop();
+        if (!patch) return;
+        this.sim.applyPatch(patch, 'after');
+        this.undoStack.push(patch);
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Forget all history (after reset or load)
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyBytes = 0;
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Enable undo/redo buttons only when there is something to do
+     */
+    updateHistoryButtons() {
+        document.getElementById('btn-undo').disabled = this.undoStack.length === 0;
+        document.getElementById('btn-redo').disabled = this.redoStack.length === 0;
+    }
+
     /**
      * Initialize input handlers for drawing
      */
@@ -240,6 +784,24 @@ export class UIController {
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            // Keys typed into a field belong to the field
+            const target = e.target;
+            if (target instanceof HTMLElement &&
+                (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName))) {
+                return;
+            }
+            
+            // Ctrl+Z undo, Ctrl+Shift+Z (or Ctrl+Y) redo
+            if ((e.ctrlKey || e.metaKey) && (e.code === 'KeyZ' || e.code === 'KeyY')) {
+                e.preventDefault();
+                if (e.code === 'KeyY' || e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                return;
+            }
+            
             switch (e.code) {
                 case 'Space':
                     e.preventDefault();
@@ -294,8 +856,15 @@ export class UIController {
         this.lastX = pos.x;
         this.lastY = pos.y;
         
+        // Everything drawn until pointer up is one undo entry
+        this.sim.beginRecording();
+        
         if (this.selectedTool === 'line' || this.selectedTool === 'rect') {
             this.lineStart = { x: pos.x, y: pos.y };
+        } else if (this.selectedTool === 'impulse') {
+            this.sim.applyImpulse(pos.x, pos.y, this.brushSize, IMPULSE_STRENGTH);
+        } else if (this.selectedTool === 'toggle') {
+            this.sim.toggleSwitches(pos.x, pos.y, this.brushSize);
         } else {
             this.draw(pos.x, pos.y);
         }
@@ -318,6 +887,14 @@ export class UIController {
             return;
         }
         
+        if (this.selectedTool === 'impulse') {
+            this.sim.applyImpulse(pos.x, pos.y, this.brushSize, IMPULSE_STRENGTH);
+            return;
+        }
+        
+        // Switches flip once per click, not on every move
+        if (this.selectedTool === 'toggle') return;
+        
         // Draw line from last position for smooth strokes
         this.sim.drawLine(this.lastX, this.lastY, pos.x, pos.y, 
             this.selectedTool === 'erase' ? MATERIAL.AIR : this.selectedMaterial, 
@@ -330,7 +907,7 @@ export class UIController {
     /**
      * Handle pointer up
      */
-    handlePointerUp(e) {
+    async handlePointerUp(e) {
         if (!this.isDrawing) return;
         
         if (this.lineStart && e) {
@@ -353,6 +930,8 @@ export class UIController {
         
         this.isDrawing = false;
         this.lineStart = null;
+        
+        this.pushHistory(await this.sim.endRecording());
     }
 
     /**
@@ -367,16 +946,21 @@ export class UIController {
      * Draw rectangle
      */
     drawRect(x0, y0, x1, y1) {
-        const minX = Math.min(x0, x1);
-        const maxX = Math.max(x0, x1);
-        const minY = Math.min(y0, y1);
-        const maxY = Math.max(y0, y1);
-        
-        for (let y = minY; y <= maxY; y++) {
-            for (let x = minX; x <= maxX; x++) {
-                this.sim.setCell(x, y, this.selectedMaterial);
-            }
-        }
+        this.sim.drawRect(x0, y0, x1, y1, this.selectedMaterial);
+    }
+
+    /**
+     * Initialize the statistics chart and interval choices and CSV export
+     */
+    initStatsControls() {
+        const intervalSelect = document.getElementById('stats-interval');
+        intervalSelect.addEventListener('change', () => {
+            this.sim.setStatsInterval(parseInt(intervalSelect.value));
+        });
+        document.getElementById('stats-chart').addEventListener('change', () => this.renderStats());
+        document.getElementById('btn-stats-export').addEventListener('click', () => {
+            this.downloadFile(this.sim.stats.toCSV(), 'text/csv', `stats-${this.timestamp()}.csv`);
+        });
     }
 
     /**
@@ -386,5 +970,115 @@ export class UIController {
         document.getElementById('stat-particles').textContent = 
             this.sim.particleCount.toLocaleString();
         document.getElementById('stat-fps').textContent = fps.toFixed(0);
+        this.renderStats();
+    }
+
+    /**
+     * Show each sampled material's latest value with a chart of its history
+     * Rows are only rebuilt when the set of materials changes
+     */
+    renderStats() {
+        const history = this.sim.stats;
+        const key = document.getElementById('stats-chart').value;
+        const latest = history.latest();
+        document.getElementById('stat-reactions').textContent = latest ? latest.reactions.toLocaleString() : '0';
+        
+        const ids = history.materialIds();
+        if (ids.join() !== [...this.statsRows.keys()].join()) {
+            this.renderStatsRows(ids);
+        }
+        
+        for (const [id, row] of this.statsRows) {
+            const series = history.series(id, key);
+            const value = series[series.length - 1];
+            if (value === null) {
+                row.value.textContent = '-';
+            } else {
+                row.value.textContent = key === 'temperature' ? `${value.toFixed(0)}°` : value.toLocaleString();
+            }
+            this.drawStatsChart(row.chart, series, row.color, key !== 'temperature');
+        }
+    }
+
+    /**
+     * Build one row per material: swatch, name, chart and value
+     */
+    renderStatsRows(ids) {
+        const list = document.getElementById('stats-materials');
+        list.innerHTML = '';
+        this.statsRows.clear();
+        
+        for (const id of ids) {
+            const mat = getMaterial(id);
+            const spec = getColorSpec(mat);
+            const [r, g, b] = spec ? spec.base : getColor(id);
+            const color = `rgb(${r}, ${g}, ${b})`;
+            
+            const row = document.createElement('div');
+            row.className = 'stats-row';
+            
+            const swatch = document.createElement('span');
+            swatch.className = 'stats-swatch';
+            swatch.style.background = color;
+            
+            const name = document.createElement('span');
+            name.className = 'stats-name';
+            name.textContent = mat.name;
+            
+            const chart = document.createElement('canvas');
+            chart.className = 'stats-chart';
+            chart.width = 80;
+            chart.height = 20;
+            
+            const value = document.createElement('span');
+            value.className = 'stats-value';
+            
+            row.append(swatch, name, chart, value);
+            list.appendChild(row);
+            this.statsRows.set(id, { chart, value, color });
+        }
+    }
+
+    /**
+     * Draw a line chart of a series across the canvas, newest at the right
+     * Gaps (null) break the line; counts are charted up from zero
+     */
+    drawStatsChart(canvas, series, color, fromZero) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        
+        let min = fromZero ? 0 : Infinity;
+        let max = -Infinity;
+        for (const v of series) {
+            if (v === null) continue;
+            min = Math.min(min, v);
+            max = Math.max(max, v);
+        }
+        if (max === -Infinity) return;
+        const range = max - min || 1;
+        
+        const last = series.length - 1;
+        const step = width / Math.max(1, last);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        let drawing = false;
+        for (let i = 0; i <= last; i++) {
+            const v = series[i];
+            if (v === null) {
+                drawing = false;
+                continue;
+            }
+            const x = width - 0.5 - (last - i) * step;
+            const y = height - 0.5 - (v - min) / range * (height - 1);
+            if (drawing) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
+            }
+        }
+        ctx.stroke();
     }
 }
@@ -0,0 +1,182 @@
+/**
+ * Weather Engine for Earth Physics Sandbox
+ * Vapour that cools, or rises into the cloud layer near the top of the
+ * world, gathers into cloud. Clouds float up and drift, and once dense
+ * enough they rain - or snow, where the air under them is freezing. The
+ * ambient temperature the open air relaxes toward can swing with the time
+ * of day
+ */
+
+import { MATERIAL, MATERIALS, STATE } from './materials.js';
+import { AMBIENT_TEMP } from './thermal.js';
+
+// Ambient temperature and whether it follows a day/night cycle
+export const DEFAULT_WEATHER = Object.freeze({ ambient: AMBIENT_TEMP, dayNight: false });
+export const MIN_AMBIENT = -40;
+export const MAX_AMBIENT = 60;
+
+// Ticks in a full day, and how far the air warms by day and cools by night
+export const DAY_LENGTH = 7200;
+const DAY_SWING = 10;
+
+// Share of the world's height, from the top, where vapour turns to cloud
+const CLOUD_LAYER = 0.2;
+
+// Cloud neighbors a cloud cell needs before it rains
+const RAIN_DENSITY = 5;
+
+// Air at or below this makes snow instead of rain
+const FREEZING = 0;
+
+// Chances per check
+const RISE_CHANCE = 0.3;            // a cloud floats up into open air
+const DRIFT_CHANCE = 0.05;          // a cloud drifts sideways
+const RAIN_CHANCE = 0.02;           // a dense cloud lets a drop fall
+const EVAPORATION_CHANCE = 0.00005; // open water in full sun turns to vapour
+
+// Evaporation runs at EVAPORATION_CHANCE this many degrees above freezing
+// and in proportion to the warmth either side of it, stopping at freezing
+const EVAPORATION_WARMTH = AMBIENT_TEMP - FREEZING;
+
+// Indexes into the neighbor offsets
+const ABOVE = 0;
+const BELOW = 1;
+
+/**
+ * Check a weather setting and return it
+ */
+export function validateWeather(ambient, dayNight) {
+    if (!Number.isFinite(ambient) || ambient < MIN_AMBIENT || ambient > MAX_AMBIENT) {
+        throw new Error(`Ambient temperature must be between ${MIN_AMBIENT} and ${MAX_AMBIENT}, got ${ambient}`);
+    }
+    if (typeof dayNight !== 'boolean') {
+        throw new Error(`Day/night must be true or false, got ${dayNight}`);
+    }
+    return { ambient, dayNight };
+}
+
+/**
+ * How far through its swing the sun is at a tick: 1 at noon, -1 at
+ * midnight. The day starts at sunrise
+ */
+function sunHeight(frameCount) {
+    return Math.sin(2 * Math.PI * (frameCount % DAY_LENGTH) / DAY_LENGTH);
+}
+
+/**
+ * Light level at a tick, from 0 (night) to 1 (day), with dawn and dusk in
+ * between - always full daylight with the cycle off
+ */
+export function daylight(frameCount, weather) {
+    if (!weather.dayNight) return 1;
+    return Math.min(1, Math.max(0, 0.5 + sunHeight(frameCount)));
+}
+
+export class WeatherEngine {
+    constructor(simulation) {
+        this.sim = simulation;
+        this.rng = simulation.rng;
+        
+        // This tick's air temperature and light level
+        this.airTemp = AMBIENT_TEMP;
+        this.light = 1;
+        
+        // Lookup tables by material id (-1 for none)
+        this.gathersTo = new Int32Array(65536);
+        this.rainsTo = new Int32Array(65536);
+        this.snowsTo = new Int32Array(65536);
+        this.evaporatesTo = new Int32Array(65536);
+        this.buildTables();
+    }
+
+    /**
+     * Cache what each material turns into through the weather
+     */
+    buildTables() {
+        this.gathersTo.fill(-1);
+        this.rainsTo.fill(-1);
+        this.snowsTo.fill(-1);
+        this.evaporatesTo.fill(-1);
+        for (const key in MATERIALS) {
+            const mat = MATERIALS[key];
+            const id = mat.id;
+            if (mat.gathersTo !== undefined) this.gathersTo[id] = mat.gathersTo;
+            if (mat.rainsTo !== undefined) this.rainsTo[id] = mat.rainsTo;
+            if (mat.snowsTo !== undefined) this.snowsTo[id] = mat.snowsTo;
+            if (mat.state === STATE.LIQUID && mat.evaporatesTo !== undefined) {
+                this.evaporatesTo[id] = mat.evaporatesTo;
+            }
+        }
+    }
+
+    /**
+     * Work out this tick's air temperature and light
+     */
+    step() {
+        const { weather, frameCount } = this.sim;
+        this.airTemp = weather.dayNight ? weather.ambient + DAY_SWING * sunHeight(frameCount) : weather.ambient;
+        this.light = daylight(frameCount, weather);
+    }
+
+    /**
+     * Run the weather for one cell
+     * Returns true if the cell changed material or moved
+     */
+    update(x, y, id, neighbors) {
+        const sim = this.sim;
+        
+        if (this.gathersTo[id] >= 0 && y < sim.height * CLOUD_LAYER) {
+            const temperature = sim.temperature[sim.index(x, y)];
+            sim.setCell(x, y, this.gathersTo[id], { temperature });
+            return true;
+        }
+        if (this.rainsTo[id] >= 0) return this.updateCloud(x, y, id, neighbors);
+        
+        if (this.evaporatesTo[id] >= 0 && neighbors[ABOVE] === MATERIAL.AIR) {
+            // The warmer of the liquid and the air sets the pace
+            const warmth = Math.max(sim.temperature[sim.index(x, y)], this.airTemp) - FREEZING;
+            if (warmth > 0 && this.rng.next() < EVAPORATION_CHANCE * this.light * warmth / EVAPORATION_WARMTH) {
+                sim.setCell(x, y, this.evaporatesTo[id]);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Float a cloud up, drift it, or let it rain when it is dense enough
+     * Clouds stop at the top edge rather than leaving through it
+     */
+    updateCloud(x, y, id, neighbors) {
+        const sim = this.sim;
+        const rng = this.rng;
+        
+        if (y > 0 && neighbors[ABOVE] === MATERIAL.AIR && rng.next() < RISE_CHANCE) {
+            sim.swap(x, y, x, y - 1);
+            return true;
+        }
+        
+        if (neighbors[BELOW] === MATERIAL.AIR && rng.next() < RAIN_CHANCE) {
+            let density = 0;
+            for (let i = 0; i < 8; i++) {
+                if (neighbors[i] === id) density++;
+            }
+            if (density >= RAIN_DENSITY) {
+                const below = sim.index(x, y + 1);
+                const freezing = below >= 0 && sim.temperature[below] <= FREEZING;
+                const drop = freezing && this.snowsTo[id] >= 0 ? this.snowsTo[id] : this.rainsTo[id];
+                sim.setCell(x, y, drop);
+                return true;
+            }
+        }
+        
+        if (rng.next() < DRIFT_CHANCE) {
+            const dx = rng.next() < 0.5 ? -1 : 1;
+            if (sim.getCell(x + dx, y) === MATERIAL.AIR && sim.inBounds(x + dx, y)) {
+                sim.swap(x, y, x + dx, y);
+                return true;
+            }
+        }
+        return false;
+    }
+}
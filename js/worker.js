@@ -0,0 +1,185 @@
+/**
+ * Simulation Worker for Earth Physics Sandbox
+ * Runs the simulation off the main thread and streams color frames back
+ */
+
+import { Simulation } from './simulation.js';
+
+// Target frame rate of the worker loop
+const FRAME_INTERVAL = 1000 / 60;
+
+// Color buffers shuttled between worker and main thread
+const BUFFER_COUNT = 2;
+
+let sim = null;
+let timer = null;
+let fields = [];
+const pool = [];
+
+// Statistics samples taken since the last frame went out
+let samples = [];
+
+/**
+ * Commands accepted from the main thread
+ * Messages carrying an id get a reply with the handler's result or error;
+ * others only hear back if they fail
+ */
+const handlers = {
+    init({ width, height, seed }) {
+        sim = new Simulation(width, height, seed);
+        sim.statsRecorder.onsample = (sample) => samples.push(sample);
+        fillPool();
+        clearInterval(timer);
+        timer = setInterval(frame, FRAME_INTERVAL);
+    },
+    resize({ width, height, mode }) {
+        sim.resize(width, height, mode);
+        fillPool();
+    },
+    brush({ x, y, materialId, radius, shape }) {
+        sim.drawBrush(x, y, materialId, radius, shape);
+    },
+    line({ x0, y0, x1, y1, materialId, radius }) {
+        sim.drawLine(x0, y0, x1, y1, materialId, radius);
+    },
+    rect({ x0, y0, x1, y1, materialId }) {
+        sim.drawRect(x0, y0, x1, y1, materialId);
+    },
+    boundary({ edge, mode }) {
+        sim.setBoundary(edge, mode);
+    },
+    gravity({ angle, strength }) {
+        sim.setGravity(angle, strength);
+    },
+    weather({ ambient, dayNight }) {
+        sim.setWeather(ambient, dayNight);
+    },
+    statsInterval({ interval }) {
+        sim.setStatsInterval(interval);
+    },
+    materials({ defs }) {
+        sim.registerMaterials(defs);
+    },
+    editMaterials({ overrides }) {
+        sim.updateMaterials(overrides);
+    },
+    revertMaterial({ id }) {
+        sim.revertMaterial(id);
+    },
+    reactions({ rules }) {
+        sim.setReactions(rules);
+    },
+    impulse({ x, y, radius, strength }) {
+        sim.applyImpulse(x, y, radius, strength);
+    },
+    toggle({ x, y, radius }) {
+        sim.toggleSwitches(x, y, radius);
+    },
+    reset({ seed }) {
+        sim.reset(seed);
+    },
+    pause({ paused }) {
+        sim.setPaused(paused);
+    },
+    speed({ speed }) {
+        sim.setSpeed(speed);
+    },
+    step() {
+        sim.step();
+    },
+    fields({ names }) {
+        fields = names;
+    },
+    beginRecording() {
+        sim.beginRecording();
+    },
+    endRecording() {
+        return sim.endRecording();
+    },
+    applyPatch({ patch, side }) {
+        sim.applyPatch(patch, side);
+    },
+    serialize({ format }) {
+        return sim.serialize(format);
+    },
+    load({ data }) {
+        sim.load(data);
+    },
+    recycle({ buffer }) {
+        // Buffers from before a resize are the wrong size - let them go
+        if (buffer.byteLength === sim.colorCache.length) {
+            pool.push(buffer);
+        }
+    }
+};
+
+/**
+ * Allocate fresh color buffers for the current world size
+ */
+function fillPool() {
+    pool.length = 0;
+    for (let i = 0; i < BUFFER_COUNT; i++) {
+        pool.push(new ArrayBuffer(sim.colorCache.length));
+    }
+}
+
+/**
+ * Advance one display frame and publish it
+ */
+function frame() {
+    sim.advance();
+    postFrame();
+}
+
+/**
+ * Copy the color cache into a free buffer and transfer it
+ * Frames are dropped while the main thread still holds every buffer
+ */
+function postFrame() {
+    if (pool.length === 0) return;
+
+    const buffer = pool.pop();
+    new Uint8ClampedArray(buffer).set(sim.colorCache);
+
+    const transfer = [buffer];
+    const extra = {};
+    for (const name of fields) {
+        extra[name] = sim[name].slice();
+        transfer.push(extra[name].buffer);
+    }
+
+    self.postMessage({
+        type: 'frame',
+        buffer,
+        fields: extra,
+        samples,
+        particleCount: sim.particleCount,
+        frameCount: sim.frameCount
+    }, transfer);
+    samples = [];
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    const handler = handlers[msg.type];
+    if (!handler) return;
+    
+    // Commands with no reply report failures as an error message, keeping
+    // onerror on the main thread for the worker itself crashing
+    if (msg.id === undefined) {
+        try {
+            handler(msg);
+        } catch (err) {
+            self.postMessage({ type: 'error', command: msg.type, error: err.message });
+        }
+        return;
+    }
+    
+    try {
+        const result = handler(msg);
+        self.postMessage({ type: 'reply', id: msg.id, result },
+            result instanceof ArrayBuffer ? [result] : []);
+    } catch (err) {
+        self.postMessage({ type: 'reply', id: msg.id, error: err.message });
+    }
+};
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Headless Runner for Earth Physics Sandbox
+ * Runs a scene script or saved world for N ticks without a browser and
+ * reports material counts, timing and (optionally) a PNG of the final frame
+ * and a CSV of per-material statistics over the run
+ *
+ * Usage: node tools/headless.js <scene.json|save.epsb> [--ticks 500] [--seed 1]
+ *                                [--pack pack.json] [--png out.png] [--scale 1]
+ *                                [--csv out.csv] [--stats-interval 30] [--json]
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { performance } from 'node:perf_hooks';
+import { buildScene } from '../js/scene.js';
+import { getMaterial } from '../js/materials.js';
+import { Simulation } from '../js/simulation.js';
+import { parseMaterialPack, registerMaterials, updateMaterials } from '../js/registry.js';
+import { SAVE_FORMAT, parseSave } from '../js/serializer.js';
+import { encodePNG } from './png.js';
+
+const USAGE = 'Usage: node tools/headless.js <scene.json|save.epsb> [--ticks 500] [--seed 1] [--pack pack.json] [--png out.png] [--scale 1] [--csv out.csv] [--stats-interval 30] [--json]';
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+    const options = { scene: null, ticks: 500, seed: undefined, packs: [], png: null, scale: 1, csv: null, statsInterval: undefined, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--ticks':
+                options.ticks = parseInteger(arg, argv[++i]);
+                break;
+            case '--seed':
+                options.seed = parseInteger(arg, argv[++i]);
+                break;
+            case '--pack':
+                options.packs.push(argv[++i]);
+                break;
+            case '--png':
+                options.png = argv[++i];
+                break;
+            case '--scale':
+                options.scale = parseInteger(arg, argv[++i]);
+                break;
+            case '--csv':
+                options.csv = argv[++i];
+                break;
+            case '--stats-interval':
+                options.statsInterval = parseInteger(arg, argv[++i]);
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '-h':
+            case '--help':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                if (arg.startsWith('-') || options.scene) {
+                    throw new Error(`Unexpected argument: ${arg}\n${USAGE}`);
+                }
+                options.scene = arg;
+        }
+    }
+
+    if (!options.scene) {
+        throw new Error(USAGE);
+    }
+    return options;
+}
+
+function parseInteger(flag, value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) {
+        throw new Error(`${flag} expects a non-negative integer, got ${JSON.stringify(value)}`);
+    }
+    return n;
+}
+
+/**
+ * Build a simulation from a scene script or a saved world (binary or JSON)
+ */
+function loadScene(path, seed) {
+    const raw = readFileSync(path);
+    if (raw[0] === 0x7B) {
+        const scene = JSON.parse(raw.toString('utf8'));
+        if (scene.format !== SAVE_FORMAT) {
+            return buildScene(scene, seed);
+        }
+    }
+    
+    const state = parseSave(raw);
+    const sim = new Simulation(state.width, state.height, state.seed);
+    sim.restore(state);
+    if (seed !== undefined) {
+        sim.rng.setSeed(seed);
+        sim.seed = sim.rng.seed;
+    }
+    return sim;
+}
+
+/**
+ * Count cells per material name
+ */
+function countMaterials(sim) {
+    const counts = {};
+    for (let i = 0; i < sim.size; i++) {
+        const name = getMaterial(sim.ids[i]).name;
+        counts[name] = (counts[name] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Summarize per-tick durations in milliseconds
+ */
+function timingStats(durations) {
+    const sorted = Float64Array.from(durations).sort();
+    const total = durations.reduce((sum, d) => sum + d, 0);
+    const n = sorted.length;
+    return {
+        totalMs: total,
+        meanMs: n ? total / n : 0,
+        minMs: n ? sorted[0] : 0,
+        maxMs: n ? sorted[n - 1] : 0,
+        p95Ms: n ? sorted[Math.min(n - 1, Math.floor(n * 0.95))] : 0,
+        ticksPerSecond: total > 0 ? n * 1000 / total : 0
+    };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    
+    // Pack materials and overrides must be in place before the scene or
+    // save refers to them
+    const packs = options.packs.map(path => parseMaterialPack(readFileSync(path, 'utf8')));
+    for (const pack of packs) {
+        registerMaterials(pack.materials);
+        updateMaterials(pack.overrides);
+    }
+    const sim = loadScene(options.scene, options.seed);
+    for (const pack of packs) {
+        sim.setReactions([...sim.interactions.reactions, ...pack.reactions]);
+    }
+    if (options.statsInterval !== undefined) {
+        sim.setStatsInterval(options.statsInterval);
+    }
+    // Keep the whole run for the CSV rather than a rolling window
+    sim.stats.limit = Infinity;
+
+    const durations = new Array(options.ticks);
+    for (let i = 0; i < options.ticks; i++) {
+        const start = performance.now();
+        sim.tick();
+        durations[i] = performance.now() - start;
+    }
+
+    const report = {
+        scene: options.scene,
+        width: sim.width,
+        height: sim.height,
+        seed: sim.seed,
+        ticks: options.ticks,
+        timing: timingStats(durations),
+        counts: countMaterials(sim)
+    };
+
+    if (options.png) {
+        writeFileSync(options.png, encodePNG(sim.getColorBuffer(), sim.width, sim.height, options.scale || 1));
+        report.png = options.png;
+    }
+
+    if (options.csv) {
+        writeFileSync(options.csv, sim.stats.toCSV());
+        report.csv = options.csv;
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    const t = report.timing;
+    console.log(`${report.scene}: ${report.width}x${report.height}, seed ${report.seed}, ${report.ticks} ticks`);
+    console.log(`Timing: ${t.totalMs.toFixed(1)} ms total, ${t.meanMs.toFixed(3)} ms/tick ` +
+        `(min ${t.minMs.toFixed(3)}, p95 ${t.p95Ms.toFixed(3)}, max ${t.maxMs.toFixed(3)}), ` +
+        `${t.ticksPerSecond.toFixed(0)} ticks/s`);
+    console.log('Materials:');
+    const rows = Object.entries(report.counts).sort((a, b) => b[1] - a[1]);
+    for (const [name, count] of rows) {
+        console.log(`  ${name.padEnd(12)} ${String(count).padStart(8)}`);
+    }
+    if (report.png) {
+        console.log(`Wrote ${report.png}`);
+    }
+    if (report.csv) {
+        console.log(`Wrote ${report.csv}`);
+    }
+}
+
+try {
+    main();
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
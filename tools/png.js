@@ -0,0 +1,75 @@
+/**
+ * Minimal PNG encoder for the headless runner (Node only)
+ * Writes 8-bit RGBA images using the built-in zlib
+ */
+
+import { deflateSync } from 'node:zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// CRC-32 lookup table for chunk checksums
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function chunk(type, data) {
+    const out = Buffer.alloc(12 + data.length);
+    out.writeUInt32BE(data.length, 0);
+    out.write(type, 4, 'ascii');
+    data.copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+    return out;
+}
+
+/**
+ * Encode an RGBA buffer as PNG, optionally scaled up by an integer factor
+ */
+export function encodePNG(rgba, width, height, scale = 1) {
+    const outWidth = width * scale;
+    const outHeight = height * scale;
+    const stride = outWidth * 4 + 1;
+
+    // Each scanline starts with filter type 0 (none)
+    const raw = Buffer.alloc(stride * outHeight);
+    for (let y = 0; y < outHeight; y++) {
+        const srcRow = Math.floor(y / scale) * width;
+        const rowStart = y * stride + 1;
+        for (let x = 0; x < outWidth; x++) {
+            const src = (srcRow + Math.floor(x / scale)) * 4;
+            const dst = rowStart + x * 4;
+            raw[dst] = rgba[src];
+            raw[dst + 1] = rgba[src + 1];
+            raw[dst + 2] = rgba[src + 2];
+            raw[dst + 3] = rgba[src + 3];
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(outWidth, 0);
+    header.writeUInt32BE(outHeight, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 6;  // color type RGBA
+    header[10] = 0; // compression
+    header[11] = 0; // filter
+    header[12] = 0; // interlace
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}